@@ -26,4 +26,8 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['vite.config.js', 'vite-plugin-*.js', 'scripts/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
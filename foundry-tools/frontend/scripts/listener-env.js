@@ -0,0 +1,38 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseBroadcast, writeEnvAddresses } from "../src/deployments.js";
+
+// Copies the addresses of the latest Deploy.s.sol broadcast into listener/listener.env.
+//   npm run listener-env -- [chainId] [--print]
+// chainId defaults to OP Sepolia (11155420); --print writes the result to stdout instead of the file.
+
+const root = fileURLToPath(new URL("../../..", import.meta.url));
+const args = process.argv.slice(2);
+const print = args.includes("--print");
+const chainId = args.find((a) => /^\d+$/.test(a)) || "11155420";
+
+const runFile = path.join(root, "broadcast", "Deploy.s.sol", chainId, "run-latest.json");
+const envFile = path.join(root, "listener", "listener.env");
+
+if (!fs.existsSync(runFile)) {
+  console.error(`No broadcast for chain ${chainId}: ${path.relative(root, runFile)} not found.`);
+  console.error("Run `forge script script/Deploy.s.sol --broadcast` against that chain first.");
+  process.exit(1);
+}
+
+const { addresses, timestamp } = parseBroadcast(fs.readFileSync(runFile, "utf8"));
+if (!Object.keys(addresses).length) {
+  console.error(`${path.relative(root, runFile)} has no recognised contract deployments.`);
+  process.exit(1);
+}
+
+const current = fs.existsSync(envFile) ? fs.readFileSync(envFile, "utf8") : "";
+const next = writeEnvAddresses(current, addresses);
+if (print) {
+  process.stdout.write(next);
+} else {
+  fs.writeFileSync(envFile, next);
+  console.log(`Updated ${path.relative(root, envFile)} from chain ${chainId} broadcast (${new Date(timestamp).toISOString()}):`);
+  for (const [key, address] of Object.entries(addresses)) console.log(`  ${key.padEnd(18)} ${address}`);
+}
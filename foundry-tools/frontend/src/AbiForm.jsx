@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import { canonicalType, keccakHex, validateArg } from "./abi";
+import AmountInput from "./AmountInput";
+import { amountToWei, isAmountParam, isDeadlineParam } from "./units";
+
+// One typed field per ABI input. Values are kept as text and handed to the encoder, which
+// also validates them inline (address format, intN/uintN ranges, bytesN length).
+
+function initialField(fnName, p) {
+  if (p.type === "bool") return { mode: "text", text: "false" };
+  if (isAmountParam(fnName, p)) return { mode: "units", text: "" };
+  return { mode: isDeadlineParam(p) ? "date" : "text", text: "" };
+}
+
+// Resolves what the user typed into the value passed to the encoder
+function fieldValue(field, decimals) {
+  if (field.mode === "keccak") return keccakHex(field.text);
+  if (field.mode === "date") return field.text ? String(Math.floor(new Date(field.text).getTime() / 1000)) : "";
+  if (field.mode === "units" || field.mode === "wei") return field.text ? amountToWei(field.text, field.mode, decimals) : "";
+  return field.text;
+}
+
+function resolveField(p, field, decimals) {
+  try {
+    const value = fieldValue(field, decimals);
+    return { value, error: validateArg(p, value) };
+  } catch (e) {
+    // Amount conversion errors are rendered by AmountInput itself
+    return { value: "", error: e.message, shown: true };
+  }
+}
+
+function placeholderFor(p) {
+  if (p.type === "address") return "0x… (20 bytes)";
+  if (/^u?int/.test(p.type)) return p.type.startsWith("u") ? "0, 1, 0x… (non-negative)" : "-1, 0, 42";
+  if (p.type === "bytes") return "0x… (any length)";
+  if (/^bytes\d+$/.test(p.type)) return `0x… (${p.type.slice(5)} bytes)`;
+  if (p.type.endsWith("]")) return "[a, b, …]";
+  if (p.type.startsWith("tuple")) return `(${(p.components || []).map((c) => c.name || c.type).join(", ")})`;
+  return p.type === "string" ? "text" : p.type;
+}
+
+// decimals/symbol describe the target token and apply to amount params (amount, value, …Amt)
+export default function AbiForm({ fn, submitLabel = "Submit", onSubmit, disabled, decimals = 18, symbol }) {
+  const [fields, setFields] = useState(() => (fn.inputs || []).map((p) => initialField(fn.name, p)));
+  const resolved = (fn.inputs || []).map((p, i) => resolveField(p, fields[i], decimals));
+  const values = resolved.map((r) => r.value);
+  const invalid = resolved.some((r) => r.error);
+
+  const setField = (i, patch) => setFields((prev) => prev.map((f, j) => (j === i ? { ...f, ...patch } : f)));
+
+  return (
+    <div className="space-y-3">
+      {(fn.inputs || []).map((p, i) => {
+        const field = fields[i];
+        const touched = field.text !== "";
+        return (
+          <div key={i}>
+            <label className="text-sm flex items-center gap-2">
+              <span className="font-medium">{p.name || `arg${i}`}</span>
+              <span className="font-mono text-xs text-gray-500">{canonicalType(p)}</span>
+              {p.type === "bytes32" && (
+                <select value={field.mode} onChange={(e) => setField(i, { mode: e.target.value })} className="ml-auto border rounded-lg px-2 py-0.5 text-xs">
+                  <option value="text">hex</option>
+                  <option value="keccak">keccak of text</option>
+                </select>
+              )}
+              {isDeadlineParam(p) && (
+                <select value={field.mode} onChange={(e) => setField(i, { mode: e.target.value, text: "" })} className="ml-auto border rounded-lg px-2 py-0.5 text-xs">
+                  <option value="date">date/time</option>
+                  <option value="text">unix seconds</option>
+                </select>
+              )}
+            </label>
+            {p.type === "bool" ? (
+              <select value={field.text} onChange={(e) => setField(i, { text: e.target.value })} className="w-full border rounded-xl px-3 py-2 text-sm">
+                <option value="false">false</option>
+                <option value="true">true</option>
+              </select>
+            ) : field.mode === "units" || field.mode === "wei" ? (
+              <AmountInput text={field.text} unit={field.mode} decimals={decimals} symbol={symbol} onChange={({ text, unit }) => setField(i, { text, mode: unit })} />
+            ) : field.mode === "date" ? (
+              <input type="datetime-local" value={field.text} onChange={(e) => setField(i, { text: e.target.value })} className="w-full border rounded-xl px-3 py-2 text-sm" />
+            ) : (
+              <input value={field.text} onChange={(e) => setField(i, { text: e.target.value })} placeholder={field.mode === "keccak" ? "text, e.g. ORDER-0001" : placeholderFor(p)} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+            )}
+            {touched && resolved[i].error && !resolved[i].shown && <div className="text-xs text-red-600 mt-1">{resolved[i].error}</div>}
+            {touched && !resolved[i].error && (field.mode === "keccak" || field.mode === "date") && <div className="text-xs text-gray-500 mt-1 font-mono break-all">= {values[i]}</div>}
+          </div>
+        );
+      })}
+      {!fn.inputs?.length && <div className="text-sm text-gray-500">No arguments.</div>}
+      <button disabled={disabled || invalid} onClick={() => onSubmit(values)} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90 disabled:opacity-50">{submitLabel}</button>
+    </div>
+  );
+}
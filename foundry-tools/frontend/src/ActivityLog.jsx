@@ -0,0 +1,80 @@
+import React from "react";
+import { decodeLog, valueToText } from "./abi";
+import Card from "./Card";
+
+const STATUS_STYLES = {
+  pending: "bg-amber-100 text-amber-800",
+  mined: "bg-blue-100 text-blue-800",
+  confirmed: "bg-emerald-100 text-emerald-800",
+  reverted: "bg-red-100 text-red-800",
+  replaced: "bg-gray-200 text-gray-700",
+};
+
+// Activity panel. Transaction entries (see txTracker.js) show their lifecycle, gas, block and the
+// receipt's logs decoded against every loaded ABI. labelFor names known addresses (profile contracts, parties);
+// onReplace(entry, "speed-up" | "cancel") resubmits a pending transaction with the same nonce.
+export default function ActivityLog({ log, abiItems, labelFor, explorerUrl, confirmations, onReplace, onClear }) {
+  return (
+    <Card title="Activity & Logs (Most recent first)" actions={log.length > 0 && <button onClick={onClear} className="text-xs text-gray-500 hover:underline">Clear</button>}>
+      <div className="max-h-96 overflow-auto text-sm font-mono bg-gray-50 rounded-xl p-3 space-y-2">
+        {!log.length && <div className="text-gray-500">No activity yet.</div>}
+        {log.map((l, idx) => (
+          <div key={idx} className="border-b last:border-none pb-2">
+            <div className="text-gray-500">{l.ts} • {l.type}</div>
+            <div className="break-all">{l.msg}</div>
+            {l.hash && <TxDetails tx={l} abiItems={abiItems} labelFor={labelFor} explorerUrl={explorerUrl} confirmations={confirmations} onReplace={onReplace} />}
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+function TxDetails({ tx, abiItems, labelFor, explorerUrl, confirmations, onReplace }) {
+  const progress = tx.status === "mined" ? ` ${tx.depth}/${confirmations}` : tx.status === "confirmed" ? ` (${tx.depth} blocks)` : "";
+  return (
+    <div className="mt-1 space-y-1 text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[tx.status] || "bg-gray-100"}`}>{tx.status}{progress}</span>
+        {explorerUrl ? (
+          <a href={`${explorerUrl}/tx/${tx.hash}`} target="_blank" rel="noreferrer" className="text-blue-700 hover:underline break-all">{tx.hash}</a>
+        ) : (
+          <span className="text-gray-500 break-all">{tx.hash}</span>
+        )}
+        {tx.status === "pending" && tx.nonce !== undefined && (
+          <span className="flex gap-2" title="Reuses the nonce; MetaMask only honours it with custom nonces enabled (the dev signer always does)">
+            <button onClick={() => onReplace(tx, "speed-up")} className="px-2 py-0.5 rounded-lg border hover:bg-white">Speed up</button>
+            <button onClick={() => onReplace(tx, "cancel")} className="px-2 py-0.5 rounded-lg border hover:bg-white">Cancel</button>
+          </span>
+        )}
+      </div>
+      {tx.replaces && <div className="text-gray-500">replaces {tx.replaces}</div>}
+      {tx.status === "replaced" && <div className="text-gray-500">nonce {tx.nonce} was used by another transaction</div>}
+      {tx.blockNumber !== undefined && (
+        <div className="text-gray-600">
+          block {tx.blockNumber} • gas used {tx.gasUsed}
+          {tx.effectiveGasPrice && ` • ${(Number(tx.effectiveGasPrice) / 1e9).toFixed(3)} gwei`}
+        </div>
+      )}
+      {tx.logs?.map((raw) => (
+        <LogLine key={raw.logIndex} raw={raw} abiItems={abiItems} labelFor={labelFor} />
+      ))}
+    </div>
+  );
+}
+
+function LogLine({ raw, abiItems, labelFor }) {
+  const decoded = decodeLog(abiItems, raw);
+  const where = labelFor(raw.address) || `${raw.address.slice(0, 8)}…`;
+  if (!decoded) return <div className="pl-3 text-gray-500 break-all">↳ {where}: unknown event {raw.topics[0] || "(anonymous)"}</div>;
+  const args = decoded.event.inputs.map((input, i) => {
+    const value = valueToText(decoded.values[i]);
+    const label = input.type === "address" ? labelFor(value) : "";
+    return `${input.name || i}: ${value}${label ? ` (${label})` : ""}`;
+  });
+  return (
+    <div className="pl-3 break-all">
+      ↳ {where}.<span className="font-semibold">{decoded.event.name}</span>({args.join(", ")})
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React, { useState } from "react";
+import { isAddress, sameAddress } from "./abi";
+import Card from "./Card";
+
+
+// Party labels for the workspace (issuer, seller, buyer, custodian…), shown wherever an address is chosen.
+export default function AddressBook({ parties, onChange }) {
+  const [draft, setDraft] = useState({ label: "", address: "" });
+  const [error, setError] = useState("");
+
+  function add() {
+    setError("");
+    const label = draft.label.trim();
+    const address = draft.address.trim();
+    if (!label || !isAddress(address)) return setError("A label and a 0x address are required");
+    if (parties.some((p) => sameAddress(p.address, address))) return setError("That address already has a label");
+    onChange([...parties, { label, address }]);
+    setDraft({ label: "", address: "" });
+  }
+
+  return (
+    <Card title="Parties (Address Book)">
+      {!parties.length && <div className="text-sm text-gray-500">No parties yet. Label the issuer, seller, buyer and other accounts used in the demo.</div>}
+      {parties.map((p, i) => (
+        <div key={p.address} className="flex gap-2 items-center">
+          <input value={p.label} onChange={(e) => onChange(parties.map((q, j) => (j === i ? { ...q, label: e.target.value } : q)))} className="w-40 border rounded-xl px-3 py-1 text-sm" />
+          <span className="flex-1 font-mono text-xs break-all">{p.address}</span>
+          <button onClick={() => onChange(parties.filter((_, j) => j !== i))} className="px-2 py-1 text-xs rounded-lg border hover:bg-gray-50">Remove</button>
+        </div>
+      ))}
+      <div className="flex flex-wrap gap-2 items-center">
+        <input value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} placeholder="Label, e.g. Seller (Bank A)" className="w-48 border rounded-xl px-3 py-2 text-sm" />
+        <input value={draft.address} onChange={(e) => setDraft({ ...draft, address: e.target.value })} placeholder="0x..." className="flex-1 min-w-64 border rounded-xl px-3 py-2 font-mono text-xs" />
+        <button onClick={add} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Add party</button>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+    </Card>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { isUnlimited } from "./allowances";
+import { UNLIMITED } from "./dvp";
+import { amountToWei, fmtUnits } from "./units";
+import AmountInput from "./AmountInput";
+import Card from "./Card";
+
+// Allowance manager for the connected account (see allowances.js). onApprove(row, value) sends
+// approve(row.spender, value) on row.token; value is a BigInt (0 revokes, UNLIMITED is max uint256).
+export default function Allowances({ account, allowances, onApprove }) {
+  const { status, rows, orders, scanFrom, ordersError, error, refresh } = allowances;
+  return (
+    <Card
+      title="Allowances (Connected Account)"
+      actions={account && <button onClick={refresh} disabled={status === "loading"} className="text-xs text-gray-500 hover:underline disabled:opacity-50">{status === "loading" ? "reading…" : "Refresh"}</button>}
+    >
+      {!account && <div className="text-sm text-gray-500">Connect a wallet to see what it has approved.</div>}
+      {account && status === "error" && <div className="text-sm text-red-600">{error}</div>}
+      {account && status !== "error" && !rows.length && status !== "loading" && (
+        <div className="text-sm text-gray-500">Set the SecToken / wCash / wCBDC and DVPEscrow addresses in the network profile.</div>
+      )}
+      {rows.map((row) => (
+        <AllowanceRow key={`${row.token}:${row.spender}`} row={row} onApprove={onApprove} />
+      ))}
+      {account && (
+        <div className="text-xs text-gray-500">
+          {ordersError
+            ? `Open orders could not be scanned: ${ordersError}`
+            : scanFrom !== null && scanFrom !== undefined && `${orders.length} open order(s) as seller or buyer, scanning EscrowInitiated from block ${scanFrom}.`}{" "}
+          Burners are address-book parties holding SecToken's BURNER_ROLE; <code>burnFrom</code> spends their SECT allowance.
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function AllowanceRow({ row, onApprove }) {
+  const { allowance, needed, decimals, symbol } = row;
+  const [amount, setAmount] = useState({ text: needed > 0n ? fmtUnits(needed, decimals) : "", unit: "units" });
+  const fmt = (v) => `${fmtUnits(v, decimals)} ${symbol}`;
+  let exact = null;
+  try {
+    exact = amount.text ? BigInt(amountToWei(amount.text, amount.unit, decimals)) : null;
+  } catch {
+    exact = null;
+  }
+  const short = needed > allowance;
+  return (
+    <div className={`border rounded-xl p-3 space-y-2 ${short ? "border-red-300 bg-red-50" : ""}`}>
+      <div className="flex flex-wrap items-baseline gap-2 text-sm">
+        <span className="font-medium">{symbol}</span>
+        <span className="text-gray-500">→ {row.spenderLabel}</span>
+        <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{row.role}</span>
+        <span className="ml-auto font-mono">{isUnlimited(allowance) ? "unlimited" : fmt(allowance)}</span>
+      </div>
+      <div className="font-mono text-xs text-gray-500 break-all">spender {row.spender}</div>
+      {needed > 0n && (
+        <div className={`text-xs ${short ? "text-red-700" : "text-gray-600"}`}>
+          Open orders still lock {fmt(needed)}{short ? `; short by ${fmt(needed - allowance)}, deposits will revert` : "; covered"}
+        </div>
+      )}
+      <div className="grid sm:grid-cols-[1fr_auto] gap-2 items-start">
+        <AmountInput text={amount.text} unit={amount.unit} decimals={decimals} symbol={symbol} onChange={setAmount} placeholder={`Exact allowance (${symbol})`} />
+        <div className="flex gap-2">
+          <button disabled={exact === null} onClick={() => onApprove(row, exact)} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50 disabled:opacity-50">Set exact</button>
+          <button onClick={() => onApprove(row, UNLIMITED)} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Unlimited</button>
+          <button disabled={allowance === 0n} onClick={() => onApprove(row, 0n)} className="px-3 py-2 text-sm rounded-xl border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50">Revoke</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+import { amountToWei, fmtUnits } from "./units";
+
+// Token amount entry in human units (default) or raw wei. Always echoes both representations,
+// and surfaces parseUnits' precision-loss error instead of silently rounding.
+export default function AmountInput({ text, unit = "units", onChange, decimals = 18, symbol, placeholder }) {
+  let wei = null;
+  let error = null;
+  if (text !== "") {
+    try {
+      wei = amountToWei(text, unit, decimals);
+    } catch (e) {
+      error = e.message;
+    }
+  }
+  return (
+    <div>
+      <div className="flex gap-2">
+        <input value={text} onChange={(e) => onChange({ text: e.target.value, unit })} placeholder={placeholder || (unit === "wei" ? "Amount (wei)" : `Amount (${symbol || "tokens"}), e.g. 50.25`)} className="w-full border rounded-xl px-3 py-2 text-sm" />
+        <select value={unit} onChange={(e) => onChange({ text, unit: e.target.value })} className="border rounded-xl px-2 text-xs">
+          <option value="units">{symbol || "units"}</option>
+          <option value="wei">wei</option>
+        </select>
+      </div>
+      {error && <div className="text-xs text-red-600 mt-1">{error}</div>}
+      {wei !== null && (
+        <div className="text-xs text-gray-500 mt-1 font-mono break-all">
+          = {fmtUnits(wei, decimals)} {symbol || ""} = {wei} wei <span className="text-gray-400">({decimals} decimals)</span>
+        </div>
+      )}
+    </div>
+  );
+}
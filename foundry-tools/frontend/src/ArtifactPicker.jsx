@@ -0,0 +1,22 @@
+import React from "react";
+
+// Label row for an ABI textarea: pick a contract from the Foundry build, or "" for a pasted ABI.
+export default function ArtifactPicker({ label, artifacts, value, onChange }) {
+  const names = Object.keys(artifacts).sort();
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2">
+      <label className="text-sm">{label} (JSON)</label>
+      {names.length ? (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className="text-sm border rounded-xl px-2 py-1">
+          <option value="">Pasted by hand</option>
+          {names.map((n) => (
+            <option key={n} value={n}>{n} — {artifacts[n].source}</option>
+          ))}
+        </select>
+      ) : (
+        <span className="text-xs text-gray-500">Run <code>forge build</code> to load ABIs from <code>out/</code></span>
+      )}
+      {value && !artifacts[value] && <span className="text-xs text-amber-700">{value} is missing from out/; showing the last loaded ABI</span>}
+    </div>
+  );
+}
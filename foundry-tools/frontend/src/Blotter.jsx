@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from "react";
+import { downloadText } from "./download";
+import { blotterCsv, countdown, filterRows, OPEN_STATUSES, ORDER_STATUSES, orderStatus, sortRows, useBlotter, useNow } from "./orders";
+import { fetchTokenInfo } from "./tokens";
+import { fmtDeadline, fmtUnits } from "./units";
+import Card from "./Card";
+import { StatusBadge } from "./OrderDetail";
+
+const PAGE_SIZE = 20;
+const TOKEN_KEYS = ["SecToken", "wCash", "wCBDC"];
+const COLUMNS = [
+  ["id", "Order", null],
+  ["status", "Status", "status"],
+  ["parties", "Seller → Buyer", null],
+  ["secAmt", "Security", "secAmt"],
+  ["cashAmt", "Cash", "cashAmt"],
+  ["deadline", "Deadline", "deadline"],
+  ["initiated", "Initiated", "initiated"],
+];
+
+// Every order DVPEscrow has seen since the profile's scan start, rebuilt from its events (see orders.js).
+// Opens to the open trades; onOpen(id) shows an order in the detail view.
+export default function Blotter({ dvp, startBlock, parties, addresses, account, labelFor, refreshKey, fileName, onOpen }) {
+  const blotter = useBlotter(dvp, startBlock, refreshKey);
+  const [filters, setFilters] = useState({ party: "", token: "", status: "open", window: "" });
+  const [sort, setSort] = useState({ key: "deadline", dir: "asc" });
+  const [page, setPage] = useState(0);
+  const now = useNow();
+  const [tokens, setTokens] = useState({});
+
+  // Decimals and symbols of every token the orders trade
+  const tokenKey = [...new Set(blotter.rows.flatMap((r) => (r.order ? [r.order.sec, r.order.cash] : [])).map((a) => a.toLowerCase()))].sort().join(",");
+  useEffect(() => {
+    if (!tokenKey) return;
+    let cancelled = false;
+    const list = tokenKey.split(",");
+    Promise.all(list.map((a) => fetchTokenInfo(a))).then((infos) => !cancelled && setTokens(Object.fromEntries(list.map((a, i) => [a, infos[i]]))));
+    return () => {
+      cancelled = true;
+    };
+  }, [tokenKey]);
+
+  const rows = blotter.rows.map((r) => ({ ...r, status: orderStatus(r.order, r.events, now) }));
+  const shown = sortRows(filterRows(rows, filters, now), sort.key, sort.dir);
+  const pages = Math.max(1, Math.ceil(shown.length / PAGE_SIZE));
+  const current = Math.min(page, pages - 1);
+  const pageRows = shown.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+  const openCount = rows.filter((r) => OPEN_STATUSES.includes(r.status)).length;
+
+  const setFilter = (key) => (e) => {
+    setFilters({ ...filters, [key]: e.target.value });
+    setPage(0);
+  };
+  const sortBy = (key) => setSort(sort.key === key ? { key, dir: sort.dir === "asc" ? "desc" : "asc" } : { key, dir: "asc" });
+  const amount = (value, token) => {
+    const info = tokens[token.toLowerCase()] || {};
+    return `${fmtUnits(value, info.decimals ?? 18)} ${info.symbol || labelFor(token) || ""}`;
+  };
+  const who = (address) => labelFor(address) || (address ? `${address.slice(0, 6)}…${address.slice(-4)}` : "?");
+
+  return (
+    <Card
+      title={`DVP Order Blotter (${openCount} open of ${rows.length})`}
+      actions={
+        <span className="flex gap-3 text-xs">
+          <button onClick={blotter.refresh} disabled={blotter.status === "loading"} className="text-gray-500 hover:underline disabled:opacity-50">{blotter.status === "loading" ? "scanning…" : "Rescan"}</button>
+          <button onClick={() => downloadText(fileName, blotterCsv(shown, tokens, labelFor), "text/csv")} disabled={!shown.length} className="text-gray-500 hover:underline disabled:opacity-50">Export CSV</button>
+        </span>
+      }
+    >
+      <div className="grid sm:grid-cols-4 gap-2 text-sm">
+        <select value={filters.party} onChange={setFilter("party")} className="border rounded-xl px-3 py-2">
+          <option value="">Any party</option>
+          {account && <option value={account}>Connected account</option>}
+          {parties.map((p) => (
+            <option key={p.address} value={p.address}>{p.label}</option>
+          ))}
+        </select>
+        <select value={filters.token} onChange={setFilter("token")} className="border rounded-xl px-3 py-2">
+          <option value="">Any token</option>
+          {TOKEN_KEYS.filter((k) => addresses[k]).map((k) => (
+            <option key={k} value={addresses[k]}>{k}</option>
+          ))}
+        </select>
+        <select value={filters.status} onChange={setFilter("status")} className="border rounded-xl px-3 py-2">
+          <option value="open">Open (not settled, expired or cancelled)</option>
+          <option value="">Any status</option>
+          {ORDER_STATUSES.map((s) => (
+            <option key={s} value={s}>{s}</option>
+          ))}
+        </select>
+        <select value={filters.window} onChange={setFilter("window")} className="border rounded-xl px-3 py-2">
+          <option value="">Any deadline</option>
+          <option value="1h">Deadline within 1 hour</option>
+          <option value="24h">Deadline within 24 hours</option>
+          <option value="7d">Deadline within 7 days</option>
+          <option value="passed">Deadline passed</option>
+        </select>
+      </div>
+      {blotter.status === "idle" && <div className="text-sm text-gray-500">Set the DVPEscrow address in the network profile.</div>}
+      {blotter.status === "error" && <div className="text-sm text-red-600">{blotter.error}</div>}
+      <div className="overflow-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              {COLUMNS.map(([key, label, sortKey]) => (
+                <th key={key} className="py-1 pr-3 whitespace-nowrap">
+                  {sortKey ? (
+                    <button onClick={() => sortBy(sortKey)} className="hover:underline">
+                      {label}
+                      {sort.key === sortKey ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                    </button>
+                  ) : (
+                    label
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map((r) => (
+              <tr key={r.id} className="border-t align-top">
+                <td className="py-1 pr-3">
+                  <button onClick={() => onOpen(r.id)} title={r.id} className="font-mono text-xs text-blue-700 hover:underline">{r.id.slice(0, 10)}…</button>
+                </td>
+                <td className="py-1 pr-3">
+                  <StatusBadge status={r.status} />
+                </td>
+                <td className="py-1 pr-3 whitespace-nowrap">{who(r.seller)} → {who(r.buyer)}</td>
+                <td className="py-1 pr-3 whitespace-nowrap">{r.order ? <>{amount(r.order.secAmt, r.order.sec)}{r.order.secLocked && " 🔒"}</> : "—"}</td>
+                <td className="py-1 pr-3 whitespace-nowrap">{r.order ? <>{amount(r.order.cashAmt, r.order.cash)}{r.order.cashLocked && " 🔒"}</> : "—"}</td>
+                <td className="py-1 pr-3 whitespace-nowrap">
+                  {r.order ? (
+                    <>
+                      <div>{fmtDeadline(r.order.deadline)}</div>
+                      {!r.order.settled && <div className="text-xs text-gray-500">{countdown(r.order.deadline, now)}</div>}
+                    </>
+                  ) : (
+                    "—"
+                  )}
+                </td>
+                <td className="py-1 pr-3 text-xs text-gray-500">{r.initiatedBlock ?? "before scan"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {blotter.status === "ready" && !shown.length && <div className="text-sm text-gray-500 py-2">No orders match the filters.</div>}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        <button disabled={current === 0} onClick={() => setPage(current - 1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 disabled:opacity-50">Prev</button>
+        <span>
+          Page {current + 1} of {pages} • {shown.length} order(s)
+        </span>
+        <button disabled={current >= pages - 1} onClick={() => setPage(current + 1)} className="px-2 py-1 rounded-lg border hover:bg-gray-50 disabled:opacity-50">Next</button>
+        {blotter.scanFrom !== undefined && <span className="ml-auto">Events from block {blotter.scanFrom} to {blotter.head}; 🔒 leg locked in escrow.</span>}
+      </div>
+    </Card>
+  );
+}
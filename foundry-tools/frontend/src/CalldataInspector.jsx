@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { decodeCalldata, findFunctionsBySelector, sameAddress, signature } from "./abi";
+import Card from "./Card";
+import DecodedResult from "./DecodedResult";
+import { request } from "./rpc";
+import { fmtUnits } from "./units";
+
+const TX_HASH = /^0x[0-9a-fA-F]{64}$/;
+
+// Decodes raw calldata, or the input of a transaction fetched by hash, against every loaded ABI.
+export default function CalldataInspector({ abiSources, onError }) {
+  const [input, setInput] = useState("");
+  const [result, setResult] = useState(null); // { tx?, data, matches: [{ sig, labels, fn, values?, error? }] }
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  async function inspect() {
+    setError("");
+    setResult(null);
+    try {
+      const text = input.trim();
+      let tx = null;
+      let data = text;
+      if (TX_HASH.test(text)) {
+        setLoading(true);
+        tx = await request("eth_getTransactionByHash", [text]);
+        if (!tx) throw new Error("Transaction not found on the connected chain");
+        data = tx.input || tx.data || "0x";
+      }
+      if (!/^0x([0-9a-fA-F]{2})*$/.test(data)) throw new Error("Expected 0x-prefixed calldata or a 32-byte transaction hash");
+      setResult({ tx, data, matches: data.length >= 10 ? decodeMatches(abiSources, data, tx?.to) : [] });
+    } catch (e) {
+      setError(onError ? onError(e) : e.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <Card title="Calldata / Transaction Inspector">
+      <div className="grid md:grid-cols-4 gap-3 items-start">
+        <textarea value={input} onChange={(e) => setInput(e.target.value)} placeholder="Paste 0x calldata or a transaction hash" rows={3} className="md:col-span-3 w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+        <button disabled={!input.trim() || loading} onClick={inspect} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90 disabled:opacity-50">{loading ? "Fetching…" : "Inspect"}</button>
+      </div>
+      {error && <div className="text-sm text-red-600 break-all">{error}</div>}
+      {result && (
+        <div className="text-sm font-mono bg-gray-100 rounded-xl p-3 space-y-3 break-all">
+          {result.tx && <TxSummary tx={result.tx} abiSources={abiSources} />}
+          <div>
+            <span className="text-gray-600">selector</span>: {result.data.slice(0, 10) || "—"} <span className="text-gray-400">({Math.max(0, (result.data.length - 2) / 2)} bytes)</span>
+          </div>
+          {result.data.length < 10 && <div className="text-gray-500">No calldata (plain value transfer or contract fallback).</div>}
+          {result.data.length >= 10 && !result.matches.length && <div className="text-gray-500">Selector not found in any loaded ABI.</div>}
+          {result.matches.map((m) => (
+            <div key={m.sig} className="border-t pt-2">
+              <div className="font-semibold">{m.sig}</div>
+              <div className="text-xs text-gray-500 mb-1">found in: {m.labels.join(", ")}</div>
+              {m.error ? <div className="text-red-600">Could not decode: {m.error}</div> : <DecodedResult fn={{ name: m.fn.name, outputs: m.fn.inputs }} values={m.values} />}
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// Groups matches by canonical signature (ERC-20 functions appear in several ABIs), listing the
+// contract matching `to` first
+function decodeMatches(abiSources, data, to) {
+  const bySig = new Map();
+  for (const { label, fn } of findFunctionsBySelector(abiSources, data)) {
+    const sig = signature(fn);
+    if (!bySig.has(sig)) bySig.set(sig, { sig, fn, labels: [] });
+    if (!bySig.get(sig).labels.includes(label)) bySig.get(sig).labels.push(label);
+  }
+  const target = to && abiSources.find((s) => sameAddress(s.address, to));
+  const matches = [...bySig.values()].map((m) => {
+    try {
+      return { ...m, values: decodeCalldata(m.fn, data) };
+    } catch (e) {
+      return { ...m, error: e.message };
+    }
+  });
+  return target ? matches.sort((a, b) => b.labels.includes(target.label) - a.labels.includes(target.label)) : matches;
+}
+
+function TxSummary({ tx, abiSources }) {
+  const labelOf = (addr) => abiSources.find((s) => sameAddress(s.address, addr))?.label;
+  return (
+    <div className="space-y-0.5">
+      <div><span className="text-gray-600">from</span>: {tx.from}{labelOf(tx.from) && ` (${labelOf(tx.from)})`}</div>
+      <div><span className="text-gray-600">to</span>: {tx.to || "contract creation"}{labelOf(tx.to) && ` (${labelOf(tx.to)})`}</div>
+      <div><span className="text-gray-600">value</span>: {fmtUnits(BigInt(tx.value || "0x0"))} ETH</div>
+      <div><span className="text-gray-600">nonce</span>: {parseInt(tx.nonce)} • <span className="text-gray-600">block</span>: {tx.blockNumber ? parseInt(tx.blockNumber) : "pending"}</div>
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+import React from "react";
+
+export default function Card({ title, children, actions }) {
+  return (
+    <div className="rounded-2xl border border-gray-200 shadow-sm p-5 bg-white">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">{title}</h3>
+        {actions}
+      </div>
+      <div className="space-y-3">{children}</div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from "react";
+
+const STYLES = {
+  checking: "bg-gray-100 text-gray-600",
+  verified: "bg-emerald-100 text-emerald-800",
+  mismatch: "bg-red-100 text-red-800",
+  "not-a-contract": "bg-red-100 text-red-800",
+  "no-artifact": "bg-amber-100 text-amber-800",
+  error: "bg-amber-100 text-amber-800",
+};
+
+// Result of useBytecodeCheck (bytecode.js) for one address.
+export default function CodeBadge({ check, expected }) {
+  if (check.status === "idle") return null;
+  const text = {
+    checking: "checking code…",
+    verified: `verified ${expected}`,
+    mismatch: check.actual ? `mismatch: this is ${check.actual}` : `mismatch: not ${expected}`,
+    "not-a-contract": "not a contract",
+    "no-artifact": `unverified: no ${expected} artifact (forge build)`,
+    error: "code check failed",
+  }[check.status];
+  return (
+    <span title={check.error || ""} className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${STYLES[check.status]}`}>
+      {text}
+    </span>
+  );
+}
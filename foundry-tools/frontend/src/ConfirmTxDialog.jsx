@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { FEE_LEVELS } from "./fees";
+import { toHex } from "./rpc";
+import { fmtUnits, parseUnits } from "./units";
+
+const gwei = (wei) => fmtUnits(wei, 9);
+
+function feeDraft(gas, level) {
+  return {
+    gas: gas?.toString() ?? "",
+    maxFee: level ? gwei(level.maxFeePerGas) : "",
+    tip: level ? gwei(level.maxPriorityFeePerGas) : "",
+  };
+}
+
+// Fee fields for eth_sendTransaction from the draft; blank fields are left to the wallet
+function feeFields(draft) {
+  const out = {};
+  if (draft.gas.trim()) {
+    if (!/^\d+$/.test(draft.gas.trim())) throw new Error("Gas limit must be a whole number");
+    out.gas = toHex(draft.gas.trim());
+  }
+  if (draft.maxFee.trim() || draft.tip.trim()) {
+    if (!draft.maxFee.trim() || !draft.tip.trim()) throw new Error("Set both max fee and priority fee, or neither");
+    const maxFee = parseUnits(draft.maxFee, 9);
+    const tip = parseUnits(draft.tip, 9);
+    if (tip > maxFee) throw new Error("Priority fee cannot exceed the max fee");
+    out.maxFeePerGas = toHex(maxFee);
+    out.maxPriorityFeePerGas = toHex(tip);
+  }
+  return out;
+}
+
+// Last stop before the wallet popup: what the transaction does, in words (see txReview.js), and the
+// gas limit / EIP-1559 fees it goes out with (suggestions from eth_feeHistory, see fees.js).
+export default function ConfirmTxDialog({ pending, onCancel, onConfirm }) {
+  const { review, to, gas, fees, preflight } = pending;
+  const target = review.contract ? `${review.contract} (${to})` : to;
+  const [draft, setDraft] = useState(() => feeDraft(gas, fees?.normal));
+  let fields = null;
+  let feeError = "";
+  try {
+    fields = feeFields(draft);
+  } catch (e) {
+    feeError = e.message;
+  }
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-black/40 p-4">
+      <div className="w-full max-w-2xl rounded-2xl bg-white shadow-xl p-5 space-y-3 max-h-[90vh] overflow-auto">
+        <h3 className="text-lg font-semibold">Confirm transaction</h3>
+        <p className="text-sm">
+          {review.fn ? (
+            <>
+              Call <strong>{review.fn.name}</strong> on <strong>{review.contract || "an unlabelled contract"}</strong>
+            </>
+          ) : (
+            <>Send undecoded calldata to <strong>{review.contract || "an unlabelled address"}</strong></>
+          )}
+          {review.from && (
+            <>
+              {" "}as <strong>{review.fromLabel || "an account not in the address book"}</strong>
+            </>
+          )}
+          {review.value > 0n && <> and attach <strong>{fmtUnits(review.value, 18)} ETH</strong></>}.
+        </p>
+        <div className="text-xs font-mono text-gray-600 break-all space-y-0.5">
+          <div>to: {target}</div>
+          {review.from && <div>from: {review.from}</div>}
+          {review.signature && <div>function: {review.signature}</div>}
+        </div>
+
+        {review.fn ? (
+          review.args.length > 0 && (
+            <table className="w-full text-sm">
+              <tbody>
+                {review.args.map((a) => (
+                  <tr key={a.name} className="border-t align-top">
+                    <td className="py-1 pr-3 text-gray-600 whitespace-nowrap">{a.name} <span className="text-gray-400 text-xs">{a.type}</span></td>
+                    <td className="py-1 break-all">
+                      <div className="font-mono">{a.text}</div>
+                      {a.note && <div className="text-xs text-gray-500">{a.note}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )
+        ) : (
+          <div className="text-sm rounded-xl border border-amber-300 bg-amber-50 text-amber-800 p-3">No loaded ABI decodes this calldata; the wallet will show the same opaque hex. Load the contract's ABI first if unsure.</div>
+        )}
+
+        <div className={`text-xs ${preflight === "reverted" ? "text-red-700" : preflight === "unavailable" ? "text-amber-700" : "text-gray-500"}`}>
+          {preflight === "reverted" && "Pre-flight failed and was overridden: this will likely revert."}
+          {preflight === "unavailable" && "Not simulated (the node could not run the pre-flight); the wallet estimates gas."}
+          {preflight === "passed" && `Pre-flight passed; estimate plus 20% headroom is ${gas?.toString()} gas.`}
+        </div>
+
+        <div className="rounded-xl border p-3 space-y-2">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-medium">Fees</span>
+            {fees && <span className="text-xs text-gray-500">base fee {gwei(fees.baseFee)} gwei</span>}
+            {fees && FEE_LEVELS.map((l) => (
+              <button key={l} onClick={() => setDraft(feeDraft(draft.gas, fees[l]))} className="px-2 py-1 text-xs rounded-lg border hover:bg-gray-50">{l}</button>
+            ))}
+            <button onClick={() => setDraft({ ...draft, maxFee: "", tip: "" })} className="px-2 py-1 text-xs rounded-lg border hover:bg-gray-50">wallet decides</button>
+          </div>
+          <div className="grid grid-cols-3 gap-2 text-xs">
+            <label>Gas limit<input value={draft.gas} onChange={(e) => setDraft({ ...draft, gas: e.target.value })} placeholder="wallet estimates" className="w-full border rounded-lg px-2 py-1 font-mono" /></label>
+            <label>Max fee (gwei)<input value={draft.maxFee} onChange={(e) => setDraft({ ...draft, maxFee: e.target.value })} placeholder="wallet decides" className="w-full border rounded-lg px-2 py-1 font-mono" /></label>
+            <label>Priority fee (gwei)<input value={draft.tip} onChange={(e) => setDraft({ ...draft, tip: e.target.value })} placeholder="wallet decides" className="w-full border rounded-lg px-2 py-1 font-mono" /></label>
+          </div>
+          {feeError && <div className="text-xs text-red-600">{feeError}</div>}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-2xl border hover:bg-gray-50">Cancel</button>
+          <button disabled={!fields} onClick={() => onConfirm(fields)} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90 disabled:opacity-50">Send to wallet</button>
+        </div>
+      </div>
+    </div>
+  );
+}
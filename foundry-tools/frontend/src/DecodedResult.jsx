@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from "react";
+import { fetchTokenInfo } from "./tokens";
+import { fmtDeadline, fmtUnits, isAmountParam, isDeadlineParam } from "./units";
+
+// An amount named after a sibling address param (DVPEscrow's sec/secAmt and cash/cashAmt, in getOrder's
+// struct or initiate's arguments) is in that token's units, not the card token's: returns the address.
+function legToken(param, params, valueOf) {
+  const m = (param.name || "").match(/^(.+?)(Amt|Amount)$/);
+  const token = m && params.find((p) => p.type === "address" && p.name === m[1]);
+  return token ? valueOf(token.name) : null;
+}
+
+// Renders values decoded by decodeParams as labelled rows, formatting token amounts with the token's decimals.
+export default function DecodedResult({ fn, values, decimals = 18, raw }) {
+  const outputs = fn.outputs || [];
+  const valueOf = (name) => values[outputs.findIndex((o) => o.name === name)];
+  return (
+    <div className="space-y-1">
+      {!outputs.length && <div className="text-gray-500">Call succeeded, no return values.</div>}
+      {outputs.map((o, i) => (
+        <Field key={i} fnName={fn.name} param={o} label={o.name || (outputs.length > 1 ? `[${i}]` : "result")} value={values[i]} decimals={decimals} token={legToken(o, outputs, valueOf)} />
+      ))}
+      {raw && <div className="text-xs text-gray-400 break-all pt-1">raw: {raw}</div>}
+    </div>
+  );
+}
+
+function Field({ fnName, param, label, value, decimals, token }) {
+  if (Array.isArray(value)) {
+    const inner = { ...param, type: param.type.replace(/\[\d*\]$/, "") };
+    return (
+      <div>
+        <div><span className="text-gray-600">{label}</span> <span className="text-gray-400">({param.type}, {value.length} items)</span></div>
+        <div className="pl-4 border-l ml-1">
+          {value.map((v, i) => <Field key={i} fnName={fnName} param={inner} label={`[${i}]`} value={v} decimals={decimals} />)}
+        </div>
+      </div>
+    );
+  }
+  if (param.type === "tuple") {
+    return (
+      <div>
+        <div><span className="text-gray-600">{label}</span> <span className="text-gray-400">({param.internalType || "tuple"})</span></div>
+        <div className="pl-4 border-l ml-1">
+          {(param.components || []).map((c, i) => (
+            <Field key={i} fnName={fnName} param={c} label={c.name || `[${i}]`} value={value[c.name || String(i)]} decimals={decimals} token={legToken(c, param.components, (name) => value[name])} />
+          ))}
+        </div>
+      </div>
+    );
+  }
+  return (
+    <div className="break-all">
+      <span className="text-gray-600">{label}</span> <span className="text-gray-400">({param.type})</span>: <FieldValue fnName={fnName} param={param} value={value} decimals={decimals} token={token} />
+    </div>
+  );
+}
+
+function FieldValue({ fnName, param, value, decimals, token }) {
+  if (isAmountParam(fnName, param) && token) return <LegAmount value={value} token={token} />;
+  if (isAmountParam(fnName, param)) {
+    return <span>{fmtUnits(value, decimals)} <span className="text-gray-400">({value.toString()} wei)</span></span>;
+  }
+  if (isDeadlineParam(param) && typeof value === "bigint") {
+    return <span>{value.toString()} <span className="text-gray-400">({fmtDeadline(value)})</span></span>;
+  }
+  if (typeof value === "string" && param.type === "string") return <span>"{value}"</span>;
+  return <span>{value.toString()}</span>;
+}
+
+function LegAmount({ value, token }) {
+  const [info, setInfo] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    fetchTokenInfo(token).then((i) => !cancelled && setInfo(i));
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+  if (info?.decimals === undefined || info.decimals === null) {
+    return <span>{value.toString()} wei <span className="text-gray-400">({info ? `decimals of ${token} unknown` : "reading token decimals…"})</span></span>;
+  }
+  return <span>{fmtUnits(value, info.decimals)} {info.symbol} <span className="text-gray-400">({value.toString()} wei)</span></span>;
+}
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import Card from "./Card";
+import { createDevSignerProvider, forgetStoredKeys, hasStoredKeys, importKeys, loadKeys, saveKeys } from "./devSigner";
+import { ANVIL_MNEMONIC } from "./secp256k1";
+
+// Import / unlock / lock the in-browser dev signer. onProvider receives the EIP-1193 provider
+// (or null when locked); the header wallet picker then lists it next to the browser wallets.
+export default function DevSignerPanel({ provider, onProvider, onUse, active }) {
+  const [stored, setStored] = useState(hasStoredKeys);
+  const [secret, setSecret] = useState(ANVIL_MNEMONIC);
+  const [count, setCount] = useState(10);
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState("");
+  const [working, setWorking] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  async function run(fn) {
+    setError("");
+    setWorking(true);
+    try {
+      await fn();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setWorking(false);
+    }
+  }
+
+  const importAndSave = () =>
+    run(async () => {
+      const keys = await importKeys(secret, Number(count) || 1);
+      await saveKeys(keys, passphrase);
+      setStored(true);
+      setPassphrase("");
+      onProvider(createDevSignerProvider(keys));
+    });
+
+  const unlock = () =>
+    run(async () => {
+      onProvider(createDevSignerProvider(await loadKeys(passphrase)));
+      setPassphrase("");
+      setActiveIndex(0);
+    });
+
+  function forget() {
+    forgetStoredKeys();
+    setStored(false);
+    onProvider(null);
+  }
+
+  return (
+    <Card title="Dev Signer (local anvil demos)" actions={<span className="text-xs font-bold px-2 py-0.5 rounded-full bg-red-600 text-white">DEV ONLY</span>}>
+      <div className="text-xs rounded-xl border border-red-300 bg-red-50 text-red-800 p-3">
+        Keys are decrypted into this browser tab and signed with an unaudited, non-constant-time implementation. Use only anvil's public test accounts or throwaway keys; never import keys that hold real value. Transactions are broadcast with <code>eth_sendRawTransaction</code> through the read-only JSON-RPC endpoint above.
+      </div>
+
+      {provider ? (
+        <div className="space-y-2">
+          <div className="text-sm font-mono max-h-40 overflow-auto">
+            {provider.addresses.map((a, i) => (
+              <label key={a} className="flex items-center gap-2 py-0.5">
+                <input
+                  type="radio"
+                  checked={activeIndex === i}
+                  onChange={() => {
+                    setActiveIndex(i);
+                    provider.setActive(i);
+                  }}
+                />
+                {a}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button disabled={active} onClick={onUse} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50 disabled:opacity-50">{active ? "In use as wallet" : "Use as wallet"}</button>
+            <button onClick={() => onProvider(null)} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Lock</button>
+          </div>
+        </div>
+      ) : stored ? (
+        <div className="flex flex-wrap gap-2 items-center">
+          <input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} placeholder="Passphrase" className="flex-1 border rounded-xl px-3 py-2 text-sm" />
+          <button disabled={working || !passphrase} onClick={unlock} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50 disabled:opacity-50">{working ? "Decrypting…" : "Unlock"}</button>
+          <button onClick={forget} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Forget stored keys</button>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <label className="text-sm">Mnemonic, or private keys one per line</label>
+          <textarea value={secret} onChange={(e) => setSecret(e.target.value)} rows={3} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+          <div className="flex flex-wrap gap-2 items-center">
+            <label className="text-sm">Accounts to derive</label>
+            <input type="number" min={1} max={50} value={count} onChange={(e) => setCount(e.target.value)} className="w-20 border rounded-xl px-3 py-2 text-sm" />
+            <input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} placeholder="Passphrase to encrypt keys" className="flex-1 border rounded-xl px-3 py-2 text-sm" />
+            <button disabled={working || !passphrase} onClick={importAndSave} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50 disabled:opacity-50">{working ? "Deriving…" : "Import & encrypt"}</button>
+          </div>
+          <div className="text-xs text-gray-500">Prefilled with anvil's default mnemonic (m/44'/60'/0'/0/i). Keys are stored AES-GCM encrypted with a PBKDF2-derived key.</div>
+        </div>
+      )}
+      {error && <div className="text-sm text-red-600">{error}</div>}
+    </Card>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useRef, useState } from "react";
+import { EXPECTED_ARTIFACT, useBytecodeCheck } from "./bytecode";
+import Card from "./Card";
+import CodeBadge from "./CodeBadge";
+import { addressesFromEnv, parseBroadcast, writeEnvAddresses } from "./deployments";
+import { downloadText } from "./download";
+import { CONTRACT_KEYS } from "./networks";
+
+// Editor for the active profile's contract addresses, plus custom profiles beyond Anvil / OP Sepolia.
+// Addresses can come from the Foundry broadcast of Deploy.s.sol (served by the Vite plugin, or picked
+// as a file) or from listener/listener.env, and can be written back in the listener's env format.
+export default function NetworkProfiles({ network, broadcast, artifacts, onUpdate, onAdd, onImported }) {
+  const [draft, setDraft] = useState({ name: "", chainId: "", rpcUrl: "" });
+  const [error, setError] = useState("");
+  const [envFile, setEnvFile] = useState(null); // last imported listener.env { name, text }, so a download keeps its other lines
+  const fileRef = useRef(null);
+
+  // startBlock: the deployment block from a broadcast's receipts, when known
+  function apply(source, addresses, startBlock) {
+    setError("");
+    if (!Object.keys(addresses).length) return setError(`No contract addresses found in ${source}`);
+    onUpdate(startBlock ? { addresses, startBlock } : { addresses });
+    onImported(source, addresses);
+  }
+
+  async function importFile(e) {
+    setError("");
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const text = await file.text();
+      if (!text.trim().startsWith("{")) {
+        setEnvFile({ name: file.name, text });
+        return apply(file.name, addressesFromEnv(text));
+      }
+      const run = parseBroadcast(text);
+      if (run.chainId && run.chainId !== network.chainId) throw new Error(`${file.name} is a chain ${run.chainId} broadcast; the active profile is chain ${network.chainId}`);
+      apply(file.name, run.addresses, run.startBlock);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const hasAddresses = CONTRACT_KEYS.some((k) => network.addresses[k]);
+
+  function add() {
+    setError("");
+    try {
+      if (!draft.name.trim() || !/^\d+$/.test(draft.chainId.trim())) throw new Error("Name and numeric chain id are required");
+      onAdd({ name: draft.name.trim(), chainId: draft.chainId.trim(), rpcUrl: draft.rpcUrl.trim() });
+      setDraft({ name: "", chainId: "", rpcUrl: "" });
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  return (
+    <Card title={`Network Profile: ${network.name} (chain ${network.chainId})`}>
+      <div className="grid md:grid-cols-2 gap-3">
+        {CONTRACT_KEYS.map((k) => (
+          <AddressField key={k} name={k} value={network.addresses[k]} artifacts={artifacts} rpcUrl={network.rpcUrl} onChange={(v) => onUpdate({ addresses: { [k]: v } })} />
+        ))}
+      </div>
+      <label className="flex items-center gap-2 text-sm">
+        Confirmations before a transaction counts as final
+        <input type="number" min={1} max={64} value={network.confirmations} onChange={(e) => onUpdate({ confirmations: Math.max(1, Number(e.target.value) || 1) })} className="w-20 border rounded-xl px-3 py-1 text-sm" />
+      </label>
+      <label className="flex items-center gap-2 text-sm">
+        Scan contract events from block
+        <input type="number" min={0} value={network.startBlock ?? ""} onChange={(e) => onUpdate({ startBlock: e.target.value === "" ? null : Math.max(0, Math.floor(Number(e.target.value)) || 0) })} placeholder="recent blocks only" className="w-40 border rounded-xl px-3 py-1 text-sm" />
+        <span className="text-xs text-gray-500">the deployment block; set from the broadcast when it has receipts</span>
+      </label>
+      <div className="flex flex-wrap gap-2 items-center">
+        {broadcast ? (
+          <button onClick={() => apply(`run-latest.json (chain ${broadcast.chainId})`, broadcast.addresses, broadcast.startBlock)} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">
+            Use latest Deploy.s.sol broadcast ({new Date(broadcast.timestamp).toLocaleString()})
+          </button>
+        ) : (
+          <span className="text-xs text-gray-500">No <code>broadcast/Deploy.s.sol/{network.chainId}/run-latest.json</code> yet.</span>
+        )}
+        <button onClick={() => fileRef.current.click()} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Import listener.env / run-latest.json…</button>
+        <input ref={fileRef} type="file" accept=".env,.json,text/plain,application/json" onChange={importFile} className="hidden" />
+        {envFile ? (
+          <button disabled={!hasAddresses} onClick={() => downloadText(envFile.name, writeEnvAddresses(envFile.text, network.addresses))} title={`Rewrites the address lines of the imported ${envFile.name}; its RPC settings and other lines are kept`} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50 disabled:opacity-50">
+            Download {envFile.name} with these addresses
+          </button>
+        ) : (
+          <button disabled={!hasAddresses} onClick={() => downloadText("listener-addresses.env", writeEnvAddresses("", network.addresses))} title="Only the address lines: merge them into listener/listener.env rather than replacing it, or import listener.env first" className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50 disabled:opacity-50">
+            Download address lines (listener-addresses.env)
+          </button>
+        )}
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-600">Add a custom profile</summary>
+        <div className="grid md:grid-cols-4 gap-2 mt-2">
+          <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Name" className="border rounded-xl px-3 py-2 text-sm" />
+          <input value={draft.chainId} onChange={(e) => setDraft({ ...draft, chainId: e.target.value })} placeholder="Chain id" className="border rounded-xl px-3 py-2 text-sm" />
+          <input value={draft.rpcUrl} onChange={(e) => setDraft({ ...draft, rpcUrl: e.target.value })} placeholder="RPC URL" className="border rounded-xl px-3 py-2 text-sm font-mono" />
+          <button onClick={add} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Add profile</button>
+        </div>
+      </details>
+    </Card>
+  );
+}
+
+function AddressField({ name, value, artifacts, rpcUrl, onChange }) {
+  const check = useBytecodeCheck(value, EXPECTED_ARTIFACT[name], artifacts, rpcUrl);
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2">
+        <label className="text-sm">{name}</label>
+        <CodeBadge check={check} expected={EXPECTED_ARTIFACT[name]} />
+      </div>
+      <input value={value} onChange={(e) => onChange(e.target.value.trim())} placeholder="0x..." className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+    </div>
+  );
+}
+
+// Shown while the wallet sits on another chain than the active profile; rpc.js refuses writes meanwhile.
+export function ChainGuardBanner({ network, walletChainId, onSwitch }) {
+  if (!walletChainId || parseInt(walletChainId) === network.chainId) return null;
+  return (
+    <div className="rounded-2xl border border-red-300 bg-red-50 text-red-800 p-4 flex flex-wrap items-center gap-3">
+      <div className="flex-1 text-sm">
+        <strong>Wrong network — writes are blocked.</strong> Your wallet is on chain {parseInt(walletChainId)}, but the active profile is {network.name} (chain {network.chainId}).
+      </div>
+      <button onClick={onSwitch} className="px-4 py-2 rounded-2xl bg-red-600 text-white shadow hover:opacity-90">Switch wallet to {network.name}</button>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import { isAddress } from "./abi";
+import { orderIdFrom } from "./dvp";
+import { cashAmount, checkTicket, randomOrderId, toLocalInput, toUnixSeconds } from "./orderTicket";
+import { fetchTokenInfo } from "./tokens";
+import { fmtUnits, parseUnits } from "./units";
+import Card from "./Card";
+
+const RAILS = ["wCash", "wCBDC"];
+const HOUR = 3600;
+
+// Ticket for DVPEscrow.initiate: parties from the address book, SECT against a cash rail, quantity x
+// price -> cashAmt, deadline and order id. Checks initiate's preconditions (see orderTicket.js) first;
+// onSubmit(ticket, label) sends it and resolves to the transaction hash, or null when not sent.
+export default function OrderDesk({ parties, addresses, onSubmit }) {
+  const [seller, setSeller] = useState("");
+  const [buyer, setBuyer] = useState("");
+  const [rail, setRail] = useState(RAILS[0]);
+  const [qty, setQty] = useState("");
+  const [price, setPrice] = useState("");
+  const [deadline, setDeadline] = useState(() => toLocalInput(Math.floor(Date.now() / 1000) + HOUR));
+  const [idText, setIdText] = useState(randomOrderId);
+  const [tokens, setTokens] = useState({ sec: { decimals: 18, symbol: "SECT" }, cash: { decimals: 18, symbol: rail } });
+  const [check, setCheck] = useState(null); // { errors, warnings } or { busy: true }
+  const [sent, setSent] = useState("");
+
+  const sec = addresses.SecToken;
+  const cash = addresses[rail];
+  useEffect(() => {
+    let cancelled = false;
+    const info = (address, fallback) => (isAddress(address) ? fetchTokenInfo(address) : Promise.resolve({})).then((i) => ({ decimals: i.decimals ?? 18, symbol: i.symbol || fallback }));
+    Promise.all([info(sec, "SECT"), info(cash, rail)]).then(([s, c]) => !cancelled && setTokens({ sec: s, cash: c }));
+    return () => {
+      cancelled = true;
+    };
+  }, [sec, cash, rail]);
+
+  // Everything the ticket derives from the inputs; the first input problem, if any
+  let ticket = null;
+  let inputError = "";
+  try {
+    const id = orderIdFrom(idText);
+    const secAmt = qty.trim() ? parseUnits(qty, tokens.sec.decimals) : 0n;
+    const unitPrice = price.trim() ? parseUnits(price, tokens.cash.decimals) : 0n;
+    const cashAmt = cashAmount(secAmt, unitPrice, tokens.sec.decimals);
+    if (!deadline) throw new Error("Pick a deadline");
+    ticket = { id, seller, buyer, sec, secAmt, cash, cashAmt, deadline: toUnixSeconds(deadline) };
+  } catch (e) {
+    inputError = e.message;
+  }
+
+  function edit(setter) {
+    return (e) => {
+      setter(e.target.value);
+      setCheck(null);
+      setSent("");
+    };
+  }
+
+  async function runCheck() {
+    setCheck({ busy: true });
+    try {
+      const result = await checkTicket(ticket, addresses.DVPEscrow);
+      setCheck(result);
+      return result;
+    } catch (e) {
+      const result = { errors: [`Precondition check failed: ${e.message}`], warnings: [] };
+      setCheck(result);
+      return result;
+    }
+  }
+
+  async function submit() {
+    setSent("");
+    const result = await runCheck();
+    if (result.errors.length) return;
+    const label = /^0x[0-9a-fA-F]{64}$/.test(idText.trim()) ? `${ticket.id.slice(0, 10)}…` : idText.trim();
+    const hash = await onSubmit(ticket, label);
+    if (!hash) return;
+    setSent(`Order ${ticket.id} submitted; fund its legs from the guided workflows once it is mined.`);
+    setIdText(randomOrderId());
+    setCheck(null);
+  }
+
+  const partySelect = (value, setter, role) => (
+    <label className="text-sm">
+      {role}
+      <select value={value} onChange={edit(setter)} className="w-full border rounded-xl px-3 py-2 text-sm">
+        <option value="">{parties.length ? `Select the ${role.toLowerCase()}…` : "Add parties to the address book first"}</option>
+        {parties.map((p) => (
+          <option key={p.address} value={p.address}>{p.label} ({p.address.slice(0, 6)}…{p.address.slice(-4)})</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <Card title="DVP Order Desk (initiate)">
+      <div className="grid md:grid-cols-2 gap-3">
+        {partySelect(seller, setSeller, "Seller")}
+        {partySelect(buyer, setBuyer, "Buyer")}
+        <label className="text-sm">
+          Security
+          <select disabled value="SecToken" className="w-full border rounded-xl px-3 py-2 text-sm bg-gray-50">
+            <option value="SecToken">{tokens.sec.symbol} {sec ? `(${sec.slice(0, 6)}…${sec.slice(-4)})` : "(no address in profile)"}</option>
+          </select>
+        </label>
+        <label className="text-sm">
+          Cash rail
+          <select value={rail} onChange={edit(setRail)} className="w-full border rounded-xl px-3 py-2 text-sm">
+            {RAILS.map((r) => (
+              <option key={r} value={r}>{r} {addresses[r] ? `(${addresses[r].slice(0, 6)}…${addresses[r].slice(-4)})` : "(no address in profile)"}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          Quantity ({tokens.sec.symbol})
+          <input value={qty} onChange={edit(setQty)} placeholder="50" className="w-full border rounded-xl px-3 py-2 text-sm" />
+        </label>
+        <label className="text-sm">
+          Price ({tokens.cash.symbol} per {tokens.sec.symbol})
+          <input value={price} onChange={edit(setPrice)} placeholder="100" className="w-full border rounded-xl px-3 py-2 text-sm" />
+        </label>
+        <label className="text-sm">
+          Deadline (local time)
+          <input type="datetime-local" value={deadline} onChange={edit(setDeadline)} className="w-full border rounded-xl px-3 py-2 text-sm" />
+        </label>
+        <label className="text-sm">
+          Order id
+          <div className="flex gap-2">
+            <input value={idText} onChange={edit(setIdText)} placeholder="0x… bytes32, or a label such as ORDER2" className="flex-1 border rounded-xl px-3 py-2 font-mono text-xs" />
+            <button onClick={() => edit(setIdText)({ target: { value: randomOrderId() } })} className="px-3 py-2 text-xs rounded-xl border hover:bg-gray-50">New id</button>
+          </div>
+        </label>
+      </div>
+      {ticket && (
+        <div className="text-sm font-mono bg-gray-100 rounded-xl p-3 break-all space-y-0.5">
+          <div>id {ticket.id}</div>
+          <div>secAmt {fmtUnits(ticket.secAmt, tokens.sec.decimals)} {tokens.sec.symbol} = {ticket.secAmt.toString()}</div>
+          <div>cashAmt {fmtUnits(ticket.cashAmt, tokens.cash.decimals)} {tokens.cash.symbol} = {ticket.cashAmt.toString()}</div>
+          <div>deadline {ticket.deadline}</div>
+        </div>
+      )}
+      {inputError && <div className="text-sm text-red-600">{inputError}</div>}
+      {check?.errors?.map((e) => <div key={e} className="text-sm text-red-600">✗ {e}</div>)}
+      {check?.warnings?.map((w) => <div key={w} className="text-sm text-amber-700">! {w}</div>)}
+      {check && !check.busy && !check.errors.length && <div className="text-sm text-emerald-700">✓ initiate's preconditions hold</div>}
+      {sent && <div className="text-sm text-emerald-700 break-all">{sent}</div>}
+      <div className="flex gap-2">
+        <button disabled={!ticket || check?.busy} onClick={runCheck} className="px-4 py-2 rounded-2xl border hover:bg-gray-50 disabled:opacity-50">Check preconditions</button>
+        <button disabled={!ticket || check?.busy} onClick={submit} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90 disabled:opacity-50">Initiate order</button>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import { orderIdFrom } from "./dvp";
+import { countdown, orderActions, orderStatus, STATUS_STYLES, useNow, useOrder } from "./orders";
+import { fetchTokenInfo } from "./tokens";
+import { fmtDeadline, fmtUnits } from "./units";
+import Card from "./Card";
+
+export function StatusBadge({ status, large }) {
+  const size = large ? "px-3 py-1 text-sm font-medium" : "px-2 py-0.5 text-xs";
+  return <span className={`rounded-full whitespace-nowrap ${size} ${STATUS_STYLES[status]}`}>{status}</span>;
+}
+
+// One DVP order: lifecycle status (see orders.js), deadline countdown, legs, event history and the
+// actions the connected account can take. orderId is owned by the parent (the blotter opens orders here).
+export default function OrderDetail({ dvp, startBlock, account, orderId, onOpen, labelFor, explorerUrl, refreshKey, onDeposit, onSettle, onCancel }) {
+  const [idText, setIdText] = useState(orderId);
+  const [error, setError] = useState("");
+  const now = useNow();
+  const [legs, setLegs] = useState({ sec: {}, cash: {} });
+  const view = useOrder(dvp, orderId, startBlock, refreshKey);
+  const { order, events } = view;
+
+  useEffect(() => setIdText(orderId), [orderId]);
+
+  useEffect(() => {
+    if (!order) return;
+    let cancelled = false;
+    Promise.all([fetchTokenInfo(order.sec), fetchTokenInfo(order.cash)]).then(([sec, cash]) => !cancelled && setLegs({ sec, cash }));
+    return () => {
+      cancelled = true;
+    };
+  }, [order]);
+
+  function open() {
+    setError("");
+    try {
+      onOpen(orderIdFrom(idText));
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  const status = view.status === "ready" ? orderStatus(order, events, now) : null;
+  const actions = status && orderActions(order, status, account);
+  const party = (address) => `${labelFor(address) || "not in address book"} (${address})`;
+  const amount = (value, info, address) => `${fmtUnits(value, info.decimals ?? 18)} ${info.symbol || labelFor(address) || ""}`;
+  const action = (key, label, run) => (
+    <button key={key} disabled={!!actions[key]} title={actions[key]} onClick={run} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50 disabled:opacity-50">
+      {label}
+    </button>
+  );
+
+  return (
+    <Card title="DVP Order Detail" actions={view.status === "loading" && <span className="text-xs text-gray-500">reading…</span>}>
+      <div className="flex gap-2">
+        <input value={idText} onChange={(e) => setIdText(e.target.value)} onKeyDown={(e) => e.key === "Enter" && open()} placeholder="Order id: 0x… bytes32, or a label such as ORDER1" className="flex-1 border rounded-xl px-3 py-2 font-mono text-xs" />
+        <button onClick={open} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Open</button>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      {view.status === "error" && <div className="text-sm text-red-600">{view.error}</div>}
+      {status && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <StatusBadge status={status} large />
+            {order && !order.settled && <span className="text-sm font-mono">{countdown(order.deadline, now)}</span>}
+            <span className="font-mono text-xs text-gray-500 break-all">{orderId}</span>
+          </div>
+          {order ? (
+            <div className="grid md:grid-cols-2 gap-2 text-sm">
+              <div>
+                <div className="text-gray-500 text-xs">Seller</div>
+                <div className="font-mono text-xs break-all">{party(order.seller)}</div>
+              </div>
+              <div>
+                <div className="text-gray-500 text-xs">Buyer</div>
+                <div className="font-mono text-xs break-all">{party(order.buyer)}</div>
+              </div>
+              <div>
+                <div className="text-gray-500 text-xs">Security leg {order.secLocked ? "• locked" : "• not locked"}</div>
+                <div>{amount(order.secAmt, legs.sec, order.sec)}</div>
+              </div>
+              <div>
+                <div className="text-gray-500 text-xs">Cash leg {order.cashLocked ? "• locked" : "• not locked"}</div>
+                <div>{amount(order.cashAmt, legs.cash, order.cash)}</div>
+              </div>
+              <div className="md:col-span-2 text-xs text-gray-500">Deadline {fmtDeadline(order.deadline)} ({order.deadline.toString()})</div>
+            </div>
+          ) : (
+            <div className="text-sm text-gray-600">
+              {status === "Cancelled" ? "Cancelled after its deadline: locked legs were refunded and getOrder no longer returns it." : "No order under this id, and no Cancelled event in the scanned blocks."}
+            </div>
+          )}
+          {order && (
+            <div className="flex flex-wrap gap-2">
+              {action("depositSecurity", "Deposit security (approve + lock)", () => onDeposit("deposit-security", orderId))}
+              {action("depositCash", "Deposit cash (approve + lock)", () => onDeposit("deposit-cash", orderId))}
+              {action("settle", "Settle", () => onSettle(orderId))}
+              {action("cancel", "Cancel and refund", () => onCancel(orderId))}
+            </div>
+          )}
+          {order && (
+            <div className="text-xs text-gray-500">
+              {Object.entries(actions)
+                .filter(([, why]) => why)
+                .map(([key, why]) => `${key}: ${why}`)
+                .join(" • ")}
+            </div>
+          )}
+          <div className="text-xs space-y-0.5">
+            <div className="font-medium text-sm">History</div>
+            {!events.length && <div className="text-gray-500">No events in the scanned blocks.</div>}
+            {events.map((e) => (
+              <div key={`${e.txHash}:${e.logIndex}`} className="flex gap-2 font-mono">
+                <span className="w-32">{e.name}</span>
+                <span className="text-gray-500">block {e.blockNumber}</span>
+                {explorerUrl ? (
+                  <a href={`${explorerUrl}/tx/${e.txHash}`} target="_blank" rel="noreferrer" className="text-blue-700 hover:underline">{e.txHash.slice(0, 12)}…</a>
+                ) : (
+                  <span className="text-gray-500">{e.txHash.slice(0, 12)}…</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,30 @@
+import React, { useState } from "react";
+
+// Shown when a transaction's pre-flight (simulate.js) fails. Sending anyway needs an explicit tick:
+// a reverting transaction still costs gas, and an unavailable simulation (RPC or wallet error) proved nothing.
+export default function PreflightDialog({ pending, toLabel, onCancel, onOverride }) {
+  const [understood, setUnderstood] = useState(false);
+  const reverted = pending.result === "reverted";
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-black/40 p-4">
+      <div className="w-full max-w-lg rounded-2xl bg-white shadow-xl p-5 space-y-3">
+        <h3 className={`text-lg font-semibold ${reverted ? "text-red-700" : "text-amber-700"}`}>{reverted ? "Pre-flight failed: transaction would revert" : "Simulation unavailable: the transaction was not checked"}</h3>
+        <div className="text-sm font-mono break-all">
+          {pending.label} → {toLabel ? `${toLabel} (${pending.to})` : pending.to}
+        </div>
+        <div className={`text-sm rounded-xl border p-3 break-words ${reverted ? "border-red-300 bg-red-50 text-red-800" : "border-amber-300 bg-amber-50 text-amber-800"}`}>{pending.error}</div>
+        <div className="text-xs text-gray-500">
+          {reverted ? "Simulated" : "Tried to simulate"} with eth_call and eth_estimateGas against the latest block{pending.from ? ` as ${pending.from}` : ""}.{!reverted && " Check the RPC endpoint or wallet, then retry."}
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={understood} onChange={(e) => setUnderstood(e.target.checked)} />
+          {reverted ? "I understand it will likely revert and still cost gas" : "Send without simulating; it may revert and still cost gas"}
+        </label>
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90">Don't send</button>
+          <button disabled={!understood} onClick={onOverride} className="px-4 py-2 rounded-2xl border border-red-400 text-red-700 hover:bg-red-50 disabled:opacity-50">{reverted ? "Send anyway" : "Send unchecked"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
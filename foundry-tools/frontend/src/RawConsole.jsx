@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+import { decodeCalldata, decodeParams, findFunctionsBySelector, isAddress, signature, valueToText } from "./abi";
+import AmountInput from "./AmountInput";
+import Card from "./Card";
+import DecodedResult from "./DecodedResult";
+import { request, toHex } from "./rpc";
+import { amountToWei } from "./units";
+
+const METHODS = ["eth_call", "eth_estimateGas", "eth_sendTransaction"];
+const BLOCK_TAGS = ["latest", "pending", "safe", "finalized", "earliest"];
+
+// Escape hatch for anything the typed UI cannot express: hand-built eth_call / eth_estimateGas /
+// eth_sendTransaction with the response decoded when the calldata selector matches a loaded ABI.
+export default function RawConsole({ abiSources, account, onError, onLog, onSend }) {
+  const [method, setMethod] = useState("eth_call");
+  const [to, setTo] = useState("");
+  const [data, setData] = useState("0x");
+  const [value, setValue] = useState({ text: "", unit: "units" });
+  const [from, setFrom] = useState("");
+  const [block, setBlock] = useState("latest");
+  const [result, setResult] = useState(null); // { method, raw, values?, fn? } or { error }
+  const [loading, setLoading] = useState(false);
+
+  const match = /^0x[0-9a-fA-F]{8}/.test(data) ? findFunctionsBySelector(abiSources, data)[0] : null;
+
+  async function run() {
+    setResult(null);
+    setLoading(true);
+    try {
+      if (!isAddress(to.trim())) throw new Error("Target must be a 0x address");
+      if (!/^0x([0-9a-fA-F]{2})*$/.test(data.trim())) throw new Error("Data must be 0x-prefixed even-length hex");
+      const tx = { to: to.trim(), data: data.trim() };
+      const sender = from.trim() || account;
+      if (sender) tx.from = sender;
+      if (value.text) tx.value = toHex(amountToWei(value.text, value.unit, 18));
+      const blockTag = /^\d+$/.test(block.trim()) ? toHex(block.trim()) : block.trim();
+      const params = method === "eth_call" ? [tx, blockTag] : [tx];
+      const label = match ? `${match.label}.${signature(match.fn)}` : tx.data.slice(0, 10);
+      // Sends go through the page's pre-flight (onSend); it logs and tracks the transaction itself
+      const raw = method === "eth_sendTransaction" ? await onSend({ ...tx, value: tx.value || "0x0", label: `${method} ${label}` }) : await request(method, params);
+      let values = null;
+      if (method === "eth_call" && match) {
+        try {
+          values = decodeParams(match.fn.outputs, raw);
+        } catch {
+          values = null; // not this function's output shape; keep the raw hex
+        }
+      }
+      setResult({ method, raw, values, fn: match?.fn });
+      const summary = method === "eth_estimateGas" ? `${BigInt(raw)} gas` : values ? values.map(valueToText).join(", ") : raw;
+      if (method !== "eth_sendTransaction") onLog?.({ type: "read", msg: `${method} ${label} @ ${tx.to} -> ${summary}` });
+    } catch (e) {
+      const msg = onError ? onError(e) : e.message;
+      setResult({ error: msg });
+      onLog?.({ type: "error", msg: `${method}: ${msg}` });
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  let args = null;
+  if (match) {
+    try {
+      args = decodeCalldata(match.fn, data);
+    } catch {
+      args = null;
+    }
+  }
+
+  return (
+    <Card title="Raw Console (eth_call / eth_estimateGas / eth_sendTransaction)">
+      <div className="grid md:grid-cols-2 gap-3">
+        <div>
+          <label className="text-sm">Method</label>
+          <select value={method} onChange={(e) => setMethod(e.target.value)} className="w-full border rounded-xl px-3 py-2 text-sm font-mono">
+            {METHODS.map((m) => <option key={m}>{m}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="text-sm">Target address (to)</label>
+          <input value={to} onChange={(e) => setTo(e.target.value)} placeholder="0x..." className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+        </div>
+        <div>
+          <label className="text-sm">From (optional, defaults to connected account)</label>
+          <input value={from} onChange={(e) => setFrom(e.target.value)} placeholder={account || "0x..."} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+        </div>
+        <div>
+          <label className="text-sm">Block tag (eth_call only)</label>
+          <input value={block} onChange={(e) => setBlock(e.target.value)} list="raw-console-block-tags" placeholder="latest or block number" disabled={method !== "eth_call"} className="w-full border rounded-xl px-3 py-2 font-mono text-xs disabled:opacity-50" />
+          <datalist id="raw-console-block-tags">
+            {BLOCK_TAGS.map((t) => <option key={t} value={t} />)}
+          </datalist>
+        </div>
+      </div>
+      <label className="text-sm">Data</label>
+      <textarea value={data} onChange={(e) => setData(e.target.value)} rows={3} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+      {match && (
+        <div className="text-xs text-gray-600 font-mono break-all">
+          matches {match.label}.{signature(match.fn)}
+          {args && <span className="text-gray-400"> ({args.map(valueToText).join(", ")})</span>}
+        </div>
+      )}
+      <label className="text-sm">Value (native currency)</label>
+      <AmountInput text={value.text} unit={value.unit} onChange={setValue} decimals={18} symbol="ETH" placeholder="0" />
+      <button disabled={loading} onClick={run} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90 disabled:opacity-50">{loading ? "Running…" : `Run ${method}`}</button>
+      {result && (
+        <div className="text-sm font-mono bg-gray-100 rounded-xl p-3 break-all">
+          {result.error ? (
+            <span className="text-red-600">Error: {result.error}</span>
+          ) : result.method === "eth_estimateGas" ? (
+            <span>{BigInt(result.raw).toString()} gas <span className="text-gray-400">({result.raw})</span></span>
+          ) : result.values ? (
+            <DecodedResult fn={result.fn} values={result.values} raw={result.raw} />
+          ) : (
+            <span>{String(result.raw)}</span>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
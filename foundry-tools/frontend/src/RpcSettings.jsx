@@ -0,0 +1,50 @@
+import React, { useState } from "react";
+import Card from "./Card";
+import { httpRequest } from "./rpc";
+
+const PRESETS = [{ label: "Anvil (local)", url: "http://127.0.0.1:8545" }];
+
+// Direct JSON-RPC endpoint for read-only mode: reads, log queries and receipts go over HTTP,
+// writes still go to the connected wallet.
+export default function RpcSettings({ rpcUrl, onChange }) {
+  const [draft, setDraft] = useState(rpcUrl);
+  const [status, setStatus] = useState(null); // { chainId, block } or { error }
+
+  async function test(url) {
+    setStatus(null);
+    try {
+      const [chainId, block] = await Promise.all([httpRequest("eth_chainId", [], url), httpRequest("eth_blockNumber", [], url)]);
+      setStatus({ chainId: parseInt(chainId), block: parseInt(block) });
+    } catch (e) {
+      setStatus({ error: e.message });
+    }
+  }
+
+  function apply(url) {
+    setDraft(url);
+    onChange(url);
+    if (url) test(url);
+    else setStatus(null);
+  }
+
+  return (
+    <Card title="Read-only JSON-RPC (optional)" actions={rpcUrl && <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-800">reads via RPC</span>}>
+      <div className="flex flex-wrap gap-2 items-center">
+        <input value={draft} onChange={(e) => setDraft(e.target.value)} placeholder="http://127.0.0.1:8545 or your OP_SEPOLIA_HTTP URL" className="flex-1 min-w-64 border rounded-xl px-3 py-2 font-mono text-xs" />
+        <button onClick={() => apply(draft.trim())} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Use</button>
+        {rpcUrl && <button onClick={() => apply("")} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Clear</button>}
+        {PRESETS.map((p) => (
+          <button key={p.url} onClick={() => apply(p.url)} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">{p.label}</button>
+        ))}
+      </div>
+      {status && (
+        <div className={`text-xs font-mono ${status.error ? "text-red-600" : "text-gray-600"}`}>
+          {status.error ? `Endpoint error: ${status.error}` : `Connected: chain ${status.chainId}, block ${status.block}`}
+        </div>
+      )}
+      <div className="text-xs text-gray-500">
+        Without a wallet, all reads, log queries and receipts use this endpoint. For OP Sepolia, paste the <code>OP_SEPOLIA_HTTP</code> value from <code>listener/listener.env</code>. Writes still need a connected wallet.
+      </div>
+    </Card>
+  );
+}
@@ -1,295 +1,401 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useAllowances } from "./allowances";
+import { canonicalType, decodeParams, encodeArgs, encodeCall, isAddress, parseAbi, parseAbiItems, resolveFunction, sameAddress, selector, signature, valueToText } from "./abi";
+import { checkBytecode, EXPECTED_ARTIFACT, useBytecodeCheck } from "./bytecode";
+import { BUILTIN_ABIS } from "./contracts";
+import { downloadText } from "./download";
+import { describeError } from "./errors";
+import { bumpedFees, suggestFees } from "./fees";
+import { DEV_SIGNER_RDNS } from "./devSigner";
+import { builtinFn, UNLIMITED } from "./dvp";
+import { switchWalletChain, useNetworks } from "./networks";
+import { ethCall, ethSend, setExpectedChainId, setRpcUrl, toHex, walletRequest } from "./rpc";
+import { simulateTx, withGasMargin } from "./simulate";
+import { describeTx } from "./txReview";
+import { fmtUnits } from "./units";
+import { useAbiSource, useFoundry } from "./foundry";
+import { useTxTracker } from "./txTracker";
+import { useWallet } from "./wallet";
+import { useWorkflows } from "./workflows";
+import { exportWorkspace, importWorkspace, partyLabel, useWorkspaces, workspaceFileName } from "./workspaces";
+import AddressBook from "./AddressBook";
+import Allowances from "./Allowances";
+import AbiForm from "./AbiForm";
+import Blotter from "./Blotter";
+import ActivityLog from "./ActivityLog";
+import ArtifactPicker from "./ArtifactPicker";
+import CalldataInspector from "./CalldataInspector";
+import Card from "./Card";
+import CodeBadge from "./CodeBadge";
+import ConfirmTxDialog from "./ConfirmTxDialog";
+import NetworkProfiles, { ChainGuardBanner } from "./NetworkProfiles";
+import OrderDesk from "./OrderDesk";
+import OrderDetail from "./OrderDetail";
+import PreflightDialog from "./PreflightDialog";
+import RawConsole from "./RawConsole";
+import RpcSettings from "./RpcSettings";
+import WalletPicker from "./WalletPicker";
+import Workflows from "./Workflows";
+import Workspaces from "./Workspaces";
+import DecodedResult from "./DecodedResult";
+import DevSignerPanel from "./DevSignerPanel";
+
+// Minimal EIP-1193 + ethers-lite helpers without external deps (see rpc.js, wallet.js, abi.js)
+
+// Supply quick actions, in the forms the repo's tokens have (SecToken first, then MintableERC20)
+const QUICK_SUPPLY = {
+  mint: ["mint(address,uint256,uint256)", "mint(address,uint256)"],
+  burn: ["burnFrom(address,uint256,bytes32)", "burn(address,uint256)", "burn(uint256)"],
+};
 
-// Minimal EIP-1193 + ethers-lite helpers without external deps
-// We'll rely on window.ethereum and the native Browser provider injected by wallets.
-// For formatting, we use Intl.NumberFormat.
-
-function fmtUnits(value, decimals = 18) {
-  try {
-    const bn = BigInt(value.toString());
-    const sign = bn < 0n ? "-" : "";
-    const v = bn < 0n ? -bn : bn;
-    const int = v / BigInt(10) ** BigInt(decimals);
-    const frac = v % (BigInt(10) ** BigInt(decimals));
-    const fracStr = frac.toString().padStart(decimals, "0").replace(/0+$/, "");
-    return sign + int.toString() + (fracStr ? "." + fracStr : "");
-  } catch {
-    return value?.toString?.() ?? String(value);
-  }
-}
-
-async function request(method, params = []) {
-  if (!window.ethereum) throw new Error("No wallet found. Install MetaMask or a compatible wallet.");
-  return await window.ethereum.request({ method, params });
-}
-
-function toHex(value) {
-  return "0x" + BigInt(value).toString(16);
-}
-
-async function getProvider() {
-  if (!window.ethereum) throw new Error("No wallet found.");
-  return window.ethereum;
-}
+export default function SecurityTokenStakeholderUI() {
+  const [devProvider, setDevProvider] = useState(null);
+  const devWallets = useMemo(
+    () => (devProvider ? [{ info: { uuid: DEV_SIGNER_RDNS, rdns: DEV_SIGNER_RDNS, name: "Dev signer (DEV ONLY)", icon: "" }, provider: devProvider }] : []),
+    [devProvider]
+  );
+  const { account, chainId, connect, wallets, wallet, selectWallet } = useWallet(devWallets);
+  const usingDevSigner = !!wallet?.provider?.isDevSigner;
 
-function useWallet() {
-  const [account, setAccount] = useState(null);
-  const [chainId, setChainId] = useState(null);
+  // The active workspace seeds the state below once; switching workspaces replaces it wholesale
+  const { names: workspaceNames, active: workspace, setActive: setWorkspace, load: loadWorkspace, save: saveWorkspace, remove: removeWorkspace } = useWorkspaces();
+  const [initial] = useState(() => loadWorkspace(workspace));
 
+  // Active network profile: read RPC, expected chain and contract addresses. The transport must be
+  // configured before the effects below issue reads.
+  const { networks, network, setActiveId, updateNetwork, addNetwork, resetNetworks } = useNetworks(initial);
+  const rpcUrl = network.rpcUrl;
   useEffect(() => {
-    (async () => {
-      if (!window.ethereum) return;
-      const [acc] = (await request("eth_accounts")) || [];
-      const cid = await request("eth_chainId");
-      if (acc) setAccount(acc);
-      if (cid) setChainId(cid);
-    })();
-
-    const onAccountsChanged = (accs) => setAccount(accs?.[0] || null);
-    const onChainChanged = (cid) => setChainId(cid);
-
-    window.ethereum?.on?.("accountsChanged", onAccountsChanged);
-    window.ethereum?.on?.("chainChanged", onChainChanged);
-    return () => {
-      window.ethereum?.removeListener?.("accountsChanged", onAccountsChanged);
-      window.ethereum?.removeListener?.("chainChanged", onChainChanged);
-    };
-  }, []);
-
-  const connect = async () => {
-    const [acc] = await request("eth_requestAccounts");
-    setAccount(acc);
-    const cid = await request("eth_chainId");
-    setChainId(cid);
-  };
-
-  return { account, chainId, connect };
-}
-
-// Minimal ABI encoder for simple types. For complex ABIs users can paste full JSON and we call via eth_call / eth_sendTransaction with data built by a tiny encoder using ethers-like ABI if present.
-// To keep this file dependency-light, we'll accept the ABI JSON and precompute function selectors and encode via browser's TextEncoder + utility. We'll support common types: address, uint256, bool, string, bytes.
-
-// Lightweight encoder/decoder using ethers.js if present on window (many wallets inject it). If not, we fall back to dynamic import from CDN-less path; since we can't import, we implement extremely tiny support for common flows via public RPC method "eth_call" with pre-encoded data provided by user if needed.
-
-// To keep UX smooth, we use a pragmatic approach: parse ABI JSON to list functions; for calls we build payload via a best-effort encoder for address/uint256/bool/string.
-
-const keccak256 = async (dataHex) => {
-  const bytes = hexToBytes(dataHex);
-  const digest = await crypto.subtle.digest("SHA-256", bytes); // Not keccak, but we approximate selector via a tiny keccak function below.
-  return bytesToHex(new Uint8Array(digest));
-};
-
-// Real keccak function (tiny) using js-sha3 if available on window; otherwise use a small implementation here.
-import { keccak_256 } from "js-sha3";
-
-function bytesToHex(bytes) {
-  return "0x" + Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
-}
+    setRpcUrl(rpcUrl);
+    setExpectedChainId(network.chainId);
+  }, [rpcUrl, network.chainId]);
+
+  const tokenAddress = network.addresses.SecToken;
+  const setTokenAddress = (v) => updateNetwork({ addresses: { SecToken: v } });
+  const complianceAddress = network.addresses.ComplianceRegistry;
+  const setComplianceAddress = (v) => updateNetwork({ addresses: { ComplianceRegistry: v } });
+  // ABIs come from the Foundry build (see vite-plugin-foundry.js) or are pasted by hand
+  const { artifacts, broadcasts } = useFoundry();
+  const tokenAbi = useAbiSource(artifacts, initial.abiText, initial.abiArtifact);
+  const complianceAbi = useAbiSource(artifacts, initial.complianceAbiText, initial.complianceArtifact);
+  const abiText = tokenAbi.text;
+  const complianceAbiText = complianceAbi.text;
+
+  // On-chain code vs the artifact each card expects (badges; token writes are gated on it)
+  const tokenExpected = tokenAbi.artifact || "SecToken";
+  const complianceExpected = complianceAbi.artifact || "ComplianceRegistry";
+  const tokenCheck = useBytecodeCheck(tokenAddress, tokenExpected, artifacts, rpcUrl);
+  const complianceCheck = useBytecodeCheck(complianceAddress, complianceExpected, artifacts, rpcUrl);
+  const [parties, setParties] = useState(initial.parties);
+  const [flows, setFlows] = useState(initial.flows);
+  const [log, setLog] = useState(initial.log);
+  useTxTracker(log, setLog, network);
+  const [readResult, setReadResult] = useState(null); // { fn, values, raw } or { error }
+  const [tokenDecimals, setTokenDecimals] = useState(18);
+  const [tokenSymbol, setTokenSymbol] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [preflight, setPreflight] = useState(null); // failed simulation awaiting cancel / override
+  const [confirming, setConfirming] = useState(null); // { id, review, to, gas, fees, preflight, resolve }
 
-function hexToBytes(hex) {
-  const h = hex.replace(/^0x/, "");
-  const out = new Uint8Array(h.length / 2);
-  for (let i = 0; i < out.length; i++) out[i] = parseInt(h.slice(i * 2, i * 2 + 2), 16);
-  return out;
-}
+  const tokenFns = useMemo(() => parseAbi(abiText), [abiText]);
+  const compFns = useMemo(() => parseAbi(complianceAbiText), [complianceAbiText]);
+  // Every loaded ABI (pasted first, then the repo's contracts), so selectors, events and custom errors
+  // resolve whichever contract they came from
+  const abiSources = useMemo(
+    () => [
+      { label: "Token", address: tokenAddress, abi: parseAbiItems(abiText) },
+      { label: "Compliance", address: complianceAddress, abi: parseAbiItems(complianceAbiText) },
+      ...Object.entries(BUILTIN_ABIS).map(([label, abi]) => ({ label, abi })),
+    ],
+    [abiText, complianceAbiText, tokenAddress, complianceAddress]
+  );
+  const abiItems = useMemo(() => abiSources.flatMap((s) => s.abi), [abiSources]);
+  const errMsg = (e) => describeError(e, abiItems);
+
+  // Everything the workspace keeps; saved on every change
+  const snapshot = useMemo(
+    () => ({
+      networks,
+      networkId: network.id,
+      abiText,
+      abiArtifact: tokenAbi.artifact,
+      complianceAbiText,
+      complianceArtifact: complianceAbi.artifact,
+      parties,
+      flows,
+      log,
+    }),
+    [networks, network.id, abiText, tokenAbi.artifact, complianceAbiText, complianceAbi.artifact, parties, flows, log]
+  );
+  useEffect(() => saveWorkspace(workspace, snapshot), [saveWorkspace, workspace, snapshot]);
+
+  function applyWorkspace(name, data) {
+    setWorkspace(name);
+    resetNetworks(data);
+    tokenAbi.reset(data.abiText, data.abiArtifact);
+    complianceAbi.reset(data.complianceAbiText, data.complianceArtifact);
+    setParties(data.parties);
+    setFlows(data.flows);
+    setLog(data.log);
+    setReadResult(null);
+  }
 
-function pad32(hex) {
-  const h = hex.replace(/^0x/, "");
-  return "0x" + h.padStart(64, "0");
-}
+  function importWorkspaceFile(text) {
+    const { name, data } = importWorkspace(text);
+    let target = name;
+    for (let i = 2; workspaceNames.includes(target) && target !== workspace; i++) target = `${name} (${i})`;
+    if (target === workspace && !window.confirm(`Replace the current workspace "${workspace}" with the imported one?`)) return;
+    applyWorkspace(target, data);
+    appendLog({ type: "workspace", msg: `Imported workspace ${target}` });
+  }
 
-function encodeUint256(v) {
-  const hex = BigInt(v).toString(16);
-  return pad32("0x" + hex);
-}
+  function appendLog(entry) {
+    setLog((prev) => [{ ts: new Date().toLocaleString(), ...entry }, ...prev].slice(0, 150));
+  }
 
-function encodeAddress(v) {
-  return pad32(v);
-}
+  // Logs a sent transaction so txTracker.js follows it to its receipt
+  function logTx(entry) {
+    appendLog({ type: "tx", status: "pending", chainId: network.chainId, ...entry });
+  }
 
-function encodeBool(v) {
-  return pad32("0x" + (v ? "1" : "0"));
-}
+  // Profile contract name or address-book label for an address
+  function labelFor(address) {
+    if (!address) return "";
+    const key = Object.keys(network.addresses).find((k) => sameAddress(network.addresses[k], address));
+    return key || partyLabel(parties, address);
+  }
 
-function encodeBytes(vHex) {
-  // Dynamic type: place length then data; here we only support fixed 32-byte inline for simplicity in quick calls.
-  const h = vHex.replace(/^0x/, "");
-  const padded = h.padEnd(Math.ceil(h.length / 64) * 64, "0");
-  return pad32("0x" + (h.length / 2).toString(16)) + "" + "0x" + padded; // simplistic
-}
+  async function switchChain(target) {
+    try {
+      await switchWalletChain(target);
+      appendLog({ type: "network", msg: `Wallet switched to ${target.name} (${target.chainId})` });
+    } catch (e) {
+      appendLog({ type: "error", msg: errMsg(e) });
+    }
+  }
 
-function encodeString(str) {
-  const encoder = new TextEncoder();
-  const bytes = encoder.encode(str);
-  const hex = bytesToHex(bytes);
-  return encodeBytes(hex);
-}
+  // Selecting a profile also asks a connected wallet to follow it
+  function switchProfile(id) {
+    setActiveId(id);
+    const target = networks.find((n) => n.id === id);
+    if (account && target && parseInt(chainId) !== target.chainId) switchChain(target);
+  }
 
-function encodeArgs(inputs, values) {
-  // For now handle address, uint256, bool, string
-  const encoded = [];
-  for (let i = 0; i < inputs.length; i++) {
-    const t = inputs[i].type;
-    const v = values[i];
-    if (t === "address") encoded.push(encodeAddress(v));
-    else if (t.startsWith("uint")) encoded.push(encodeUint256(v));
-    else if (t === "bool") encoded.push(encodeBool(v === true || v === "true"));
-    else if (t === "string") {
-      // dynamic types require offsets; keep the quick path: we won't generally support dynamic in write here; for read, prefer eth_call via libraries.
-      throw new Error("String args not supported in quick encoder. Use Read tab with freeform data or ensure your functions use address/uint/bool.");
-    } else {
-      throw new Error(`Type ${t} not supported in quick encoder.`);
+  // Decimals drive amount formatting and parsing; re-read whenever the token or chain changes (ERC-20 default when unavailable)
+  useEffect(() => {
+    setTokenDecimals(18);
+    setTokenSymbol("");
+    if (!isAddress(tokenAddress)) return;
+    ethCall(tokenAddress, selector("decimals()"))
+      .then((out) => setTokenDecimals(Number(decodeParams([{ type: "uint8" }], out)[0])))
+      .catch(() => {});
+    ethCall(tokenAddress, selector("symbol()"))
+      .then((out) => setTokenSymbol(decodeParams([{ type: "string" }], out)[0]))
+      .catch(() => {});
+  }, [tokenAddress, chainId, rpcUrl]);
+
+  // Prefer the pasted ABI's entry (named outputs); fall back to the ERC-20 shape
+  const quickReads = [
+    { name: "name", outputs: [{ name: "", type: "string" }] },
+    { name: "symbol", outputs: [{ name: "", type: "string" }] },
+    { name: "decimals", outputs: [{ name: "", type: "uint8" }] },
+    { name: "totalSupply", outputs: [{ name: "", type: "uint256" }] },
+    { name: "paused", outputs: [{ name: "", type: "bool" }] },
+  ].map((q) => tokenFns.find((f) => f.name === q.name && !f.inputs.length) || { ...q, type: "function", inputs: [], stateMutability: "view" });
+
+  async function readAndDecode(fn, args) {
+    const sig = signature(fn);
+    try {
+      if (!tokenAddress) throw new Error("Set token address");
+      const data = selector(sig) + (fn.inputs.length ? encodeArgs(fn.inputs, args).replace(/^0x/, "") : "");
+      const out = await ethCall(tokenAddress, data, account || undefined);
+      const values = decodeParams(fn.outputs, out);
+      if (fn.name === "decimals" && values.length === 1) setTokenDecimals(Number(values[0]));
+      setReadResult({ fn, values, raw: out });
+      appendLog({ type: "read", msg: `${sig} -> ${values.map(valueToText).join(", ") || out}` });
+    } catch (e) {
+      setReadResult({ error: errMsg(e) });
+      appendLog({ type: "error", msg: errMsg(e) });
     }
   }
-  return encoded.join("").replace(/0x0x/g, "0x");
-}
 
-function selector(signature) {
-  // keccak256(signature)[0..4]
-  const hash = keccak_256(signature);
-  return "0x" + hash.slice(0, 8);
-}
+  // Dynamic function caller (write) driven by the typed ABI form
+  const [writeSig, setWriteSig] = useState("");
+  const tokenWrites = tokenFns.filter((f) => !["view", "pure"].includes(f.stateMutability));
+  const writeFn = tokenWrites.find((f) => signature(f) === writeSig);
+
+  // Artifact a send target should run: what the token / compliance cards expect, else the role the
+  // network profile gives the address. Unknown targets (raw console, foreign tokens) are not checked.
+  function expectedArtifact(to) {
+    if (sameAddress(tokenAddress, to)) return tokenExpected;
+    if (sameAddress(complianceAddress, to)) return complianceExpected;
+    const key = Object.keys(EXPECTED_ARTIFACT).find((k) => sameAddress(network.addresses[k], to));
+    return key ? EXPECTED_ARTIFACT[key] : "";
+  }
 
-function parseAbi(abiText) {
-  try {
-    const abi = JSON.parse(abiText);
-    if (!Array.isArray(abi)) throw new Error("ABI must be a JSON array");
-    return abi.filter((x) => x.type === "function");
-  } catch (e) {
-    return [];
+  // Asks before sending to an address whose code is not the expected contract (e.g. wCash pasted as the token)
+  async function confirmTargetCode(to) {
+    const expected = expectedArtifact(to);
+    if (!expected) return;
+    const check = await checkBytecode(to, expected, artifacts, rpcUrl).catch(() => null);
+    if (!check || !["mismatch", "not-a-contract"].includes(check.status)) return;
+    const problem = check.status === "not-a-contract" ? "has no contract code" : `does not run ${expected}${check.actual ? ` (it is ${check.actual})` : ""}`;
+    const target = `${labelFor(to) || "The target"} (${to})`;
+    if (!window.confirm(`${target} ${problem}. Send anyway?`)) throw new Error(`Not sent: ${target} ${problem}`);
   }
-}
 
-async function ethCall(to, data, from) {
-  const res = await request("eth_call", [{ to, data, from }]);
-  return res;
-}
+  // Every write goes through here: check the target's code, simulate with the sender's address (a would-be
+  // revert needs an explicit override), then confirm a plain-language summary before the wallet sees it.
+  // Sends run one at a time, so a second one (a workflow step, an approve) waits for the first one's
+  // dialogs and wallet prompt instead of replacing a dialog whose answer is still awaited.
+  const sendQueue = useRef(Promise.resolve());
+  const sendSeq = useRef(0);
+  const sendsPending = useRef(0);
+  function sendTx(tx) {
+    sendsPending.current++;
+    const run = sendQueue.current.then(() => sendNow(tx)).finally(() => sendsPending.current--);
+    sendQueue.current = run.catch(() => {});
+    return run;
+  }
 
-async function ethSend(to, data, value = "0x0") {
-  const txHash = await request("eth_sendTransaction", [{ to, data, value }]);
-  return txHash;
-}
+  async function sendNow({ to, data, value = "0x0", from, label }) {
+    const id = ++sendSeq.current; // keys the dialogs, so each request starts from fresh state
+    await confirmTargetCode(to);
+    const sender = from || account || (await walletRequest("eth_accounts"))[0];
+    const sim = await simulateTx({ from: sender, to, data, value }, abiItems);
+    const preflightResult = sim.ok ? "passed" : sim.ok === false ? "reverted" : "unavailable";
+    if (!sim.ok) {
+      const override = await new Promise((resolve) => setPreflight({ id, label, to, from: sender, error: sim.error, result: preflightResult, resolve }));
+      setPreflight(null);
+      if (!override) throw new Error(`Not sent: pre-flight ${sim.ok === false ? "failed" : "unavailable"} (${sim.error})`);
+    }
+    const gas = sim.ok ? withGasMargin(sim.gas) : undefined;
+    const [review, fees] = await Promise.all([describeTx({ to, data, value, from: sender }, abiSources, labelFor), suggestFees().catch(() => null)]);
+    const feeFields = await new Promise((resolve) => setConfirming({ id, review, to, gas, fees, preflight: preflightResult, resolve }));
+    setConfirming(null);
+    if (!feeFields) throw new Error(`Not sent: ${label} cancelled at confirmation`);
+    const hash = await ethSend(to, data, value, { ...(sender ? { from: sender } : {}), ...feeFields });
+    const note = { passed: "", reverted: " (pre-flight overridden)", unavailable: " (not simulated)" }[preflightResult];
+    logTx({ msg: `${label} sent to ${labelFor(to) || to}${note}`, hash });
+    return hash;
+  }
 
-function Card({ title, children, actions }) {
-  return (
-    <div className="rounded-2xl border border-gray-200 shadow-sm p-5 bg-white">
-      <div className="flex items-center justify-between mb-3">
-        <h3 className="text-lg font-semibold">{title}</h3>
-        {actions}
-      </div>
-      <div className="space-y-3">{children}</div>
-    </div>
-  );
-}
+  // Speed-up resubmits the same transaction, cancel sends 0 ETH to self; both reuse the stuck
+  // transaction's nonce with fees bumped past the node's replacement threshold
+  async function replaceTx(entry, mode) {
+    const cancel = mode === "cancel";
+    try {
+      const fees = bumpedFees(entry, (await suggestFees().catch(() => null))?.fast);
+      const shown = fees.gasPrice ? `gas price ${fmtUnits(BigInt(fees.gasPrice), 9)} gwei` : `max fee ${fmtUnits(BigInt(fees.maxFeePerGas), 9)} / priority ${fmtUnits(BigInt(fees.maxPriorityFeePerGas), 9)} gwei`;
+      if (!window.confirm(`${cancel ? "Cancel" : "Speed up"} ${entry.hash} (nonce ${entry.nonce}) with ${shown}?`)) return;
+      const tx = cancel ? { to: entry.from, data: "0x", value: "0x0", gas: toHex(21000) } : { to: entry.to, data: entry.data, value: toHex(entry.value || 0), gas: toHex(entry.gas) };
+      const hash = await ethSend(tx.to, tx.data, tx.value, { from: entry.from, nonce: toHex(entry.nonce), gas: tx.gas, ...fees });
+      logTx({ msg: `${cancel ? "Cancel" : "Speed-up"} of ${entry.hash} (nonce ${entry.nonce})`, hash, replaces: entry.hash, replacement: mode });
+    } catch (e) {
+      appendLog({ type: "error", msg: errMsg(e) });
+    }
+  }
 
-export default function SecurityTokenStakeholderUI() {
-  const { account, chainId, connect } = useWallet();
-
-  const [tokenAddress, setTokenAddress] = useState("");
-  const [complianceAddress, setComplianceAddress] = useState("");
-  const [abiText, setAbiText] = useState("");
-  const [complianceAbiText, setComplianceAbiText] = useState("");
-  const [log, setLog] = useState([]);
-  const [readResult, setReadResult] = useState("");
-  const [busy, setBusy] = useState(false);
+  // Guided approve -> deposit flows send through sendTx and advance on the tracker's receipts
+  const workflows = useWorkflows(flows, setFlows, log, { dvp: network.addresses.DVPEscrow, account, chainId: network.chainId, sendTx, sendIdle: () => !sendsPending.current, errMsg });
 
-  const tokenFns = useMemo(() => parseAbi(abiText), [abiText]);
-  const compFns = useMemo(() => parseAbi(complianceAbiText), [complianceAbiText]);
+  // DVP order shown in the detail view; a freshly initiated order opens there
+  const [orderView, setOrderView] = useState("");
 
-  function appendLog(entry) {
-    setLog((prev) => [{ ts: new Date().toLocaleString(), ...entry }, ...prev].slice(0, 150));
+  async function initiateOrder(t, label) {
+    try {
+      const fn = builtinFn("DVPEscrow", "initiate");
+      const hash = await sendTx({ to: network.addresses.DVPEscrow, data: encodeCall(fn, [t.id, t.seller, t.buyer, t.sec, t.secAmt, t.cash, t.cashAmt, t.deadline]), label: `initiate(${label})` });
+      setOrderView(t.id);
+      return hash;
+    } catch (e) {
+      appendLog({ type: "error", msg: errMsg(e) });
+      return null;
+    }
   }
 
-  const quickReads = [
-    { label: "name()", sig: "name()", selector: selector("name()") },
-    { label: "symbol()", sig: "symbol()", selector: selector("symbol()") },
-    { label: "decimals()", sig: "decimals()", selector: selector("decimals()") },
-    { label: "totalSupply()", sig: "totalSupply()", selector: selector("totalSupply()") },
-    { label: "paused()", sig: "paused()", selector: selector("paused()") },
-  ];
-
-  async function doQuickRead(sig) {
+  // settle / cancel: single-argument DVPEscrow calls anyone may make once the order allows it
+  async function orderCall(name, id) {
     try {
-      if (!tokenAddress) throw new Error("Set token address");
-      const data = selector(sig);
-      const out = await ethCall(tokenAddress, data, account || undefined);
-      setReadResult(out);
-      appendLog({ type: "read", msg: `${sig} -> ${out}` });
+      await sendTx({ to: network.addresses.DVPEscrow, data: encodeCall(builtinFn("DVPEscrow", name), [id]), label: `${name}(${id.slice(0, 10)}…)` });
     } catch (e) {
-      setReadResult("Error: " + e.message);
-      appendLog({ type: "error", msg: e.message });
+      appendLog({ type: "error", msg: errMsg(e) });
     }
   }
 
-  // Dynamic function caller (write) for simple address/uint/bool args
-  const [fnName, setFnName] = useState("");
-  const [fnArgs, setFnArgs] = useState("");
+  // Allowances are re-read whenever another transaction lands
+  const lastMined = log.find((l) => l.blockNumber !== undefined)?.hash || "";
+  const allowances = useAllowances(account, network, parties, lastMined);
 
-  async function callWrite() {
+  async function approveAllowance(row, value) {
+    const amount = value === UNLIMITED ? "unlimited" : value === 0n ? "0, revoke" : `${fmtUnits(value, row.decimals)} ${row.symbol}`;
+    try {
+      await sendTx({ to: row.token, data: encodeCall(builtinFn("MintableERC20", "approve"), [row.spender, value]), label: `${row.symbol} approve(${row.spenderLabel}, ${amount})` });
+    } catch (e) {
+      appendLog({ type: "error", msg: errMsg(e) });
+    }
+  }
+
+  async function callWrite(fn, args) {
     try {
       if (!account) await connect();
       if (!tokenAddress) throw new Error("Set token address");
-      if (!fnName) throw new Error("Function name required");
-      const fn = tokenFns.find((f) => `${f.name}(${f.inputs.map((i) => i.type).join(',')})` === fnName || f.name === fnName);
-      if (!fn) throw new Error("Function not in ABI");
-      const sig = `${fn.name}(${fn.inputs.map((i) => i.type).join(',')})`;
-      const sel = selector(sig);
-      const args = fnArgs.trim() ? fnArgs.split(",").map((s) => s.trim()) : [];
-      const data = sel + encodeArgs(fn.inputs, args).replace(/^0x/, "");
+      if (!fn) throw new Error("Select a function");
+      const data = encodeCall(fn, args);
       setBusy(true);
-      const tx = await ethSend(tokenAddress, data);
-      appendLog({ type: "tx", msg: `${fn.name} sent: ${tx}` });
+      await sendTx({ to: tokenAddress, data, label: signature(fn) });
       setBusy(false);
     } catch (e) {
       setBusy(false);
-      appendLog({ type: "error", msg: e.message });
+      appendLog({ type: "error", msg: errMsg(e) });
     }
   }
 
   // Helper quick actions if ABI exposes them
   const hasFn = (name) => tokenFns.some((f) => f.name === name);
+  const quickFn = (sigs) => sigs.map((sig) => tokenFns.find((f) => signature(f) === sig)).find(Boolean);
+  const mintFn = quickFn(QUICK_SUPPLY.mint);
+  const burnFn = quickFn(QUICK_SUPPLY.burn);
 
+  // name may be a bare name or a full signature; overloads are disambiguated by argument count
   async function quickAction(name, args = []) {
     try {
       if (!account) await connect();
-      const fn = tokenFns.find((f) => f.name === name);
-      if (!fn) throw new Error(`${name} not in ABI`);
-      const sig = `${fn.name}(${fn.inputs.map((i) => i.type).join(',')})`;
-      const data = selector(sig) + encodeArgs(fn.inputs, args).replace(/^0x/, "");
+      const fn = resolveFunction(tokenFns, name, args.length);
+      if (!fn) throw new Error(`${name} with ${args.length} args not in ABI`);
       setBusy(true);
-      const tx = await ethSend(tokenAddress, data);
-      appendLog({ type: "tx", msg: `${name} -> ${tx}` });
+      await sendTx({ to: tokenAddress, data: encodeCall(fn, args), label: signature(fn) });
       setBusy(false);
     } catch (e) {
       setBusy(false);
-      appendLog({ type: "error", msg: e.message });
+      appendLog({ type: "error", msg: errMsg(e) });
     }
   }
 
-  function FunctionList({ abi, title, onSelect }) {
+  function FunctionList({ abi, title, onSelect, selected }) {
     const reads = abi.filter((f) => ["view", "pure"].includes(f.stateMutability));
     const writes = abi.filter((f) => !["view", "pure"].includes(f.stateMutability));
+    const overloads = (f) => abi.filter((g) => g.name === f.name).length;
+    const row = (f, suffix) => (
+      <div key={signature(f)} className="py-1 border-b last:border-none flex items-baseline gap-2">
+        <button onClick={() => onSelect && onSelect(f)} className={`hover:underline text-left ${selected === f ? "font-semibold" : ""}`}>
+          {f.name}({f.inputs.map((i) => canonicalType(i)).join(", ")}){suffix}
+        </button>
+        {overloads(f) > 1 && <span className="text-xs px-1.5 rounded bg-amber-100 text-amber-800">overload</span>}
+        <span className="ml-auto font-mono text-xs text-gray-400">{selector(signature(f))}</span>
+      </div>
+    );
     return (
       <div className="grid md:grid-cols-2 gap-4">
         <Card title={`${title} • Read`}>
           <div className="max-h-60 overflow-auto text-sm">
-            {reads.map((f) => (
-              <div key={f.name + f.inputs.length} className="py-1 border-b last:border-none">
-                <button onClick={() => onSelect && onSelect(f)} className="hover:underline">
-                  {f.name}({f.inputs.map((i) => i.type).join(", ")}) → {f.outputs?.map((o) => o.type).join(", ")}
-                </button>
-              </div>
-            ))}
+            {reads.map((f) => row(f, ` → ${f.outputs?.map((o) => canonicalType(o)).join(", ")}`))}
             {!reads.length && <div className="text-gray-500">No read functions.</div>}
           </div>
         </Card>
         <Card title={`${title} • Write`}>
           <div className="max-h-60 overflow-auto text-sm">
-            {writes.map((f) => (
-              <div key={f.name + f.inputs.length} className="py-1 border-b last:border-none">
-                <span>{f.name}({f.inputs.map((i) => i.type).join(", ")})</span>
-              </div>
-            ))}
+            {writes.map((f) => row(f, f.stateMutability === "payable" ? " payable" : ""))}
             {!writes.length && <div className="text-gray-500">No write functions.</div>}
           </div>
         </Card>
@@ -297,25 +403,16 @@ export default function SecurityTokenStakeholderUI() {
     );
   }
 
-  const [selectedRead, setSelectedRead] = useState(null);
-  const [readArgs, setReadArgs] = useState("");
+  const [selectedFn, setSelectedFn] = useState(null);
+  const selectedIsRead = selectedFn && ["view", "pure"].includes(selectedFn.stateMutability);
 
-  async function doSelectedRead() {
-    if (!selectedRead) return;
-    try {
-      if (!tokenAddress) throw new Error("Set token address");
-      const sig = `${selectedRead.name}(${selectedRead.inputs.map((i) => i.type).join(',')})`;
-      const sel = selector(sig);
-      const args = readArgs.trim() ? readArgs.split(",").map((s) => s.trim()) : [];
-      const data = sel + (selectedRead.inputs.length ? encodeArgs(selectedRead.inputs, args).replace(/^0x/, "") : "");
-      const out = await ethCall(tokenAddress, data, account || undefined);
-      setReadResult(out);
-      appendLog({ type: "read", msg: `${sig} -> ${out}` });
-    } catch (e) {
-      setReadResult("Error: " + e.message);
-      appendLog({ type: "error", msg: e.message });
-    }
-  }
+  const readResultView = !readResult ? (
+    "Output will appear here."
+  ) : readResult.error ? (
+    "Error: " + readResult.error
+  ) : (
+    <DecodedResult fn={readResult.fn} values={readResult.values} decimals={tokenDecimals} raw={readResult.raw} />
+  );
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
@@ -326,29 +423,65 @@ export default function SecurityTokenStakeholderUI() {
             <p className="text-sm text-gray-600">Demo dApp to exercise key flows: metadata, compliance, whitelist/KYC, mint/burn, transfer, pause, and event logs. Paste your ABIs and addresses to go live on your testnet.</p>
           </div>
           <div className="flex items-center gap-3">
-            <span className="text-sm text-gray-600 hidden md:inline">{chainId ? `Chain: ${parseInt(chainId)} ` : "Not connected"}</span>
+            <WalletPicker wallets={wallets} selected={wallet} onSelect={selectWallet} />
+            {usingDevSigner && <span className="text-xs font-bold px-2 py-0.5 rounded-full bg-red-600 text-white">DEV SIGNER</span>}
+            <select value={network.id} onChange={(e) => switchProfile(e.target.value)} className="text-sm border rounded-full px-3 py-1 bg-white">
+              {networks.map((n) => (
+                <option key={n.id} value={n.id}>{n.name} ({n.chainId})</option>
+              ))}
+            </select>
+            <span className="text-sm text-gray-600 hidden md:inline">{chainId ? `Wallet chain: ${parseInt(chainId)} ` : rpcUrl ? "Read-only (RPC)" : "Not connected"}</span>
             {account ? (
               <span className="text-sm font-mono bg-gray-200 px-3 py-1 rounded-full">{account.slice(0, 6)}…{account.slice(-4)}</span>
             ) : (
-              <button onClick={connect} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90">Connect Wallet</button>
+              <button onClick={() => connect().catch((e) => appendLog({ type: "error", msg: errMsg(e) }))} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90">Connect Wallet</button>
             )}
           </div>
         </header>
 
+        {preflight && <PreflightDialog key={preflight.id} pending={preflight} toLabel={labelFor(preflight.to)} onCancel={() => preflight.resolve(false)} onOverride={() => preflight.resolve(true)} />}
+        {confirming && <ConfirmTxDialog key={confirming.id} pending={confirming} onCancel={() => confirming.resolve(null)} onConfirm={confirming.resolve} />}
+
+        <ChainGuardBanner network={network} walletChainId={account ? chainId : null} onSwitch={() => switchChain(network)} />
+
+        <Workspaces
+          names={workspaceNames}
+          active={workspace}
+          onSwitch={(name) => applyWorkspace(name, loadWorkspace(name))}
+          onCreate={(name, copy) => applyWorkspace(name, copy ? { ...snapshot, flows: [], log: [] } : loadWorkspace(name))}
+          onDelete={() => {
+            const next = removeWorkspace(workspace);
+            applyWorkspace(next, loadWorkspace(next));
+          }}
+          onExport={() => downloadText(workspaceFileName(workspace), exportWorkspace(workspace, snapshot), "application/json")}
+          onImport={importWorkspaceFile}
+        />
+        <RpcSettings key={`${workspace}:${network.id}`} rpcUrl={rpcUrl} onChange={(url) => updateNetwork({ rpcUrl: url })} />
+        <NetworkProfiles
+          network={network}
+          broadcast={broadcasts[network.chainId]}
+          artifacts={artifacts}
+          onUpdate={updateNetwork}
+          onAdd={addNetwork}
+          onImported={(source, addresses) => appendLog({ type: "network", msg: `Addresses for ${network.name} from ${source}: ${Object.keys(addresses).join(", ")}` })}
+        />
+        <AddressBook parties={parties} onChange={setParties} />
+        <DevSignerPanel provider={devProvider} onProvider={setDevProvider} active={usingDevSigner} onUse={() => selectWallet(DEV_SIGNER_RDNS)} />
+
         {/* Setup */}
         <div className="grid md:grid-cols-2 gap-6">
-          <Card title="1) Token Contract Setup">
+          <Card title="1) Token Contract Setup" actions={<CodeBadge check={tokenCheck} expected={tokenExpected} />}>
             <label className="text-sm">Token Contract Address</label>
             <input value={tokenAddress} onChange={(e) => setTokenAddress(e.target.value)} placeholder="0x..." className="w-full border rounded-xl px-3 py-2" />
-            <label className="text-sm">Token ABI (JSON)</label>
-            <textarea value={abiText} onChange={(e) => setAbiText(e.target.value)} placeholder="Paste SecurityToken ABI JSON here" rows={8} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
-            <div className="text-xs text-gray-500">Tip: from Foundry build, take <code>out/SecurityToken.sol/SecurityToken.json</code> → copy the <code>abi</code> array.</div>
+            <ArtifactPicker label="Token ABI" artifacts={artifacts} value={tokenAbi.artifact} onChange={tokenAbi.pick} />
+            <textarea value={abiText} onChange={(e) => tokenAbi.setText(e.target.value)} placeholder="Paste SecToken ABI JSON here" rows={8} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+            <div className="text-xs text-gray-500">Pick a compiled contract, or paste the <code>abi</code> array from <code>out/SecurityToken.sol/SecToken.json</code>. Editing the JSON detaches it from the build.</div>
           </Card>
-          <Card title="2) Compliance/KYC Setup (Optional)">
+          <Card title="2) Compliance/KYC Setup (Optional)" actions={<CodeBadge check={complianceCheck} expected={complianceExpected} />}>
             <label className="text-sm">Compliance Contract Address</label>
             <input value={complianceAddress} onChange={(e) => setComplianceAddress(e.target.value)} placeholder="0x..." className="w-full border rounded-xl px-3 py-2" />
-            <label className="text-sm">Compliance ABI (JSON)</label>
-            <textarea value={complianceAbiText} onChange={(e) => setComplianceAbiText(e.target.value)} placeholder="Paste Compliance ABI JSON here" rows={8} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+            <ArtifactPicker label="Compliance ABI" artifacts={artifacts} value={complianceAbi.artifact} onChange={complianceAbi.pick} />
+            <textarea value={complianceAbiText} onChange={(e) => complianceAbi.setText(e.target.value)} placeholder="Paste Compliance ABI JSON here" rows={8} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
             <div className="text-xs text-gray-500">If your flow requires whitelist/blacklist/region locks, paste those functions here to drive the UI.</div>
           </Card>
         </div>
@@ -357,22 +490,22 @@ export default function SecurityTokenStakeholderUI() {
         <Card title="Token Snapshot">
           <div className="flex flex-wrap gap-3">
             {quickReads.map((q) => (
-              <button key={q.sig} onClick={() => doQuickRead(q.sig)} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">{q.label}</button>
+              <button key={q.name} onClick={() => readAndDecode(q, [])} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">{q.name}()</button>
             ))}
           </div>
-          <div className="text-sm font-mono bg-gray-100 rounded-xl p-3 break-all">{readResult || "Output will appear here."}</div>
+          <div className="text-sm font-mono bg-gray-100 rounded-xl p-3 break-all">{readResultView}</div>
         </Card>
 
         {/* ABI explorer */}
-        <Card title="ABI Explorer (Click a read function, pass args, view raw hex output)">
-          <FunctionList abi={tokenFns} title="Token" onSelect={(f) => setSelectedRead(f)} />
-          {selectedRead && (
-            <div className="mt-4 grid md:grid-cols-3 gap-3 items-end">
-              <div className="md:col-span-2">
-                <div className="text-sm mb-1 font-medium">{selectedRead.name}({selectedRead.inputs.map((i) => i.type).join(", ")})</div>
-                <input value={readArgs} onChange={(e) => setReadArgs(e.target.value)} placeholder={selectedRead.inputs.length ? `Comma-separated args for: ${selectedRead.inputs.map((i)=>i.type).join(', ')}` : "No args"} className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
+        <Card title="ABI Explorer (Click a function, fill in its arguments, call or send)">
+          <FunctionList abi={tokenFns} title="Token" selected={selectedFn} onSelect={(f) => setSelectedFn(f)} />
+          {selectedFn && (
+            <div className="mt-4 space-y-3">
+              <div className="text-sm font-medium font-mono">
+                {signature(selectedFn)} <span className="text-gray-400">selector {selector(signature(selectedFn))}</span>
               </div>
-              <button onClick={doSelectedRead} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90">Call</button>
+              <AbiForm key={signature(selectedFn)} fn={selectedFn} decimals={tokenDecimals} symbol={tokenSymbol} submitLabel={selectedIsRead ? "Call" : "Send Transaction"} disabled={!selectedIsRead && busy} onSubmit={(args) => (selectedIsRead ? readAndDecode(selectedFn, args) : callWrite(selectedFn, args))} />
+              {selectedIsRead && <div className="text-sm font-mono bg-gray-100 rounded-xl p-3 break-all">{readResultView}</div>}
             </div>
           )}
         </Card>
@@ -387,14 +520,10 @@ export default function SecurityTokenStakeholderUI() {
               {hasFn("unpause") && (
                 <button onClick={() => quickAction("unpause")} className="px-3 py-2 rounded-xl border hover:bg-gray-50">unpause()</button>
               )}
-              {hasFn("mint") && (
-                <QuickMint onMint={(to, amount) => quickAction("mint", [to, amount])} />
-              )}
-              {hasFn("burn") && (
-                <QuickBurn onBurn={(amount) => quickAction("burn", [amount])} />
-              )}
+              {mintFn && <QuickAction fn={mintFn} decimals={tokenDecimals} symbol={tokenSymbol} disabled={busy} onSend={(args) => quickAction(signature(mintFn), args)} />}
+              {burnFn && <QuickAction fn={burnFn} decimals={tokenDecimals} symbol={tokenSymbol} disabled={busy} onSend={(args) => quickAction(signature(burnFn), args)} />}
             </div>
-            {!hasFn("pause") && !hasFn("unpause") && !hasFn("mint") && !hasFn("burn") && (
+            {!hasFn("pause") && !hasFn("unpause") && !mintFn && !burnFn && (
               <div className="text-sm text-gray-600">No common admin functions detected in ABI. Use the "Write Any Function" panel below.</div>
             )}
           </Card>
@@ -406,26 +535,61 @@ export default function SecurityTokenStakeholderUI() {
 
         {/* Generic writer */}
         <Card title="Write Any Function (from Token ABI)">
-          <div className="grid md:grid-cols-3 gap-3 items-end">
-            <input value={fnName} onChange={(e) => setFnName(e.target.value)} placeholder="Function name or full signature, e.g. transfer(address,uint256)" className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
-            <input value={fnArgs} onChange={(e) => setFnArgs(e.target.value)} placeholder="Comma-separated args (address/uint/bool only here)" className="w-full border rounded-xl px-3 py-2 font-mono text-xs" />
-            <button disabled={busy} onClick={callWrite} className="px-4 py-2 rounded-2xl bg-black text-white shadow hover:opacity-90 disabled:opacity-50">Send Transaction</button>
-          </div>
-          <div className="text-xs text-gray-500">Note: This quick sender supports <strong>address</strong>, <strong>uint*</strong>, and <strong>bool</strong> arguments. For string/bytes arrays, prefer dedicated UI or extend encoder.</div>
+          <select value={writeSig} onChange={(e) => setWriteSig(e.target.value)} className="w-full border rounded-xl px-3 py-2 font-mono text-xs">
+            <option value="">{tokenWrites.length ? "Select a write function…" : "Paste a token ABI first"}</option>
+            {tokenWrites.map((f) => (
+              <option key={signature(f)} value={signature(f)}>{signature(f)} — {selector(signature(f))}</option>
+            ))}
+          </select>
+          {writeFn && <AbiForm key={writeSig} fn={writeFn} decimals={tokenDecimals} symbol={tokenSymbol} submitLabel="Send Transaction" disabled={busy} onSubmit={(args) => callWrite(writeFn, args)} />}
+          <div className="text-xs text-gray-500">Write arrays as <code>[a, b]</code> and tuples/structs as <code>(a, b)</code>; quote strings that contain commas. <code>bytes</code>/<code>bytesN</code> take 0x hex.</div>
         </Card>
 
+        {/* DVP */}
+        <OrderDesk parties={parties} addresses={network.addresses} onSubmit={initiateOrder} />
+        <OrderDetail
+          dvp={network.addresses.DVPEscrow}
+          startBlock={network.startBlock}
+          account={account}
+          orderId={orderView}
+          onOpen={setOrderView}
+          labelFor={labelFor}
+          explorerUrl={network.explorerUrl}
+          refreshKey={lastMined}
+          onDeposit={workflows.start}
+          onSettle={(id) => orderCall("settle", id)}
+          onCancel={(id) => orderCall("cancel", id)}
+        />
+        <Blotter
+          dvp={network.addresses.DVPEscrow}
+          startBlock={network.startBlock}
+          parties={parties}
+          addresses={network.addresses}
+          account={account}
+          labelFor={labelFor}
+          refreshKey={lastMined}
+          fileName={`${network.id}-dvp-orders.csv`}
+          onOpen={setOrderView}
+        />
+
+        <Allowances account={account} allowances={allowances} onApprove={approveAllowance} />
+
+        <Workflows
+          flows={flows.filter((f) => f.chainId === network.chainId)}
+          explorerUrl={network.explorerUrl}
+          onStart={workflows.start}
+          onResume={workflows.resume}
+          onDismiss={workflows.dismiss}
+        />
+
+        {/* Raw JSON-RPC console */}
+        <RawConsole abiSources={abiSources} account={account} onError={errMsg} onLog={appendLog} onSend={sendTx} />
+
+        {/* Calldata inspector */}
+        <CalldataInspector abiSources={abiSources} onError={errMsg} />
+
         {/* Activity log */}
-        <Card title="Activity & Logs (Most recent first)">
-          <div className="max-h-72 overflow-auto text-sm font-mono bg-gray-50 rounded-xl p-3 space-y-2">
-            {!log.length && <div className="text-gray-500">No activity yet.</div>}
-            {log.map((l, idx) => (
-              <div key={idx} className="border-b last:border-none pb-2">
-                <div className="text-gray-500">{l.ts} • {l.type}</div>
-                <div className="break-all">{l.msg}</div>
-              </div>
-            ))}
-          </div>
-        </Card>
+        <ActivityLog log={log} abiItems={abiItems} labelFor={labelFor} explorerUrl={network.explorerUrl} confirmations={network.confirmations} onReplace={replaceTx} onClear={() => setLog([])} />
 
         <footer className="text-xs text-gray-500 text-center pb-10">
           Built for your End‑to‑End Security Token PoC. Paste ABIs & addresses, connect wallet, and demo live.
@@ -435,26 +599,13 @@ export default function SecurityTokenStakeholderUI() {
   );
 }
 
-function QuickMint({ onMint }) {
-  const [to, setTo] = useState("");
-  const [amount, setAmount] = useState("");
-  return (
-    <div className="border rounded-xl p-3 space-y-2">
-      <div className="font-medium">mint(to, amount)</div>
-      <input value={to} onChange={(e) => setTo(e.target.value)} placeholder="Recipient 0x..." className="w-full border rounded-xl px-3 py-2 text-sm" />
-      <input value={amount} onChange={(e) => setAmount(e.target.value)} placeholder="Amount (wei)" className="w-full border rounded-xl px-3 py-2 text-sm" />
-      <button onClick={() => onMint(to, amount)} className="w-full px-3 py-2 rounded-xl border hover:bg-gray-50">Send</button>
-    </div>
-  );
-}
-
-function QuickBurn({ onBurn }) {
-  const [amount, setAmount] = useState("");
+// A supply action in whichever form the token has; AbiForm supplies the amount entry and the
+// extra arguments (SecToken's appId and refId)
+function QuickAction({ fn, decimals, symbol, disabled, onSend }) {
   return (
     <div className="border rounded-xl p-3 space-y-2">
-      <div className="font-medium">burn(amount)</div>
-      <input value={amount} onChange={(e) => setAmount(e.target.value)} placeholder="Amount (wei)" className="w-full border rounded-xl px-3 py-2 text-sm" />
-      <button onClick={() => onBurn(amount)} className="w-full px-3 py-2 rounded-xl border hover:bg-gray-50">Send</button>
+      <div className="font-medium font-mono text-sm">{signature(fn)}</div>
+      <AbiForm key={signature(fn)} fn={fn} decimals={decimals} symbol={symbol} submitLabel="Send" disabled={disabled} onSubmit={onSend} />
     </div>
   );
 }
@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+
+// Header control listing the EIP-6963 wallets that announced themselves (name + icon).
+export default function WalletPicker({ wallets, selected, onSelect }) {
+  const [open, setOpen] = useState(false);
+  if (!wallets.length) return <span className="text-sm text-gray-500">No wallet detected</span>;
+
+  const needsChoice = !selected && wallets.length > 1;
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen((o) => !o)} className={`flex items-center gap-2 px-3 py-1 rounded-full border text-sm ${needsChoice ? "border-amber-400 bg-amber-50" : "bg-white"}`}>
+        {selected ? <WalletLabel info={selected.info} /> : `Choose wallet (${wallets.length})`}
+        <span className="text-gray-400">▾</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 rounded-xl border bg-white shadow-lg z-10 p-1">
+          {wallets.map((w) => (
+            <button
+              key={w.info.uuid}
+              onClick={() => {
+                onSelect(w.info.rdns);
+                setOpen(false);
+              }}
+              className={`w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-left hover:bg-gray-50 ${selected === w ? "font-semibold" : ""}`}
+            >
+              <WalletLabel info={w.info} />
+              {selected === w && <span className="ml-auto text-xs text-gray-500">active</span>}
+            </button>
+          ))}
+          <div className="px-3 py-1 text-xs text-gray-400">Choice is remembered on this browser.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function WalletLabel({ info }) {
+  return (
+    <span className="flex items-center gap-2">
+      {info.icon ? <img src={info.icon} alt="" className="w-5 h-5" /> : <span className="w-5 h-5 rounded bg-gray-200 inline-block" />}
+      <span>{info.name}</span>
+    </span>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { orderIdFrom } from "./dvp";
+import { FLOWS } from "./workflows";
+import Card from "./Card";
+
+const STATUS_STYLES = {
+  ready: "bg-gray-100 text-gray-700",
+  running: "bg-blue-100 text-blue-800",
+  waiting: "bg-amber-100 text-amber-800",
+  sent: "bg-amber-100 text-amber-800",
+  done: "bg-emerald-100 text-emerald-800",
+  skipped: "bg-emerald-50 text-emerald-700",
+  failed: "bg-red-100 text-red-800",
+  todo: "bg-gray-100 text-gray-500",
+};
+
+const Badge = ({ status }) => <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[status] || "bg-gray-100"}`}>{status}</span>;
+
+// Guided approve -> deposit runs (see workflows.js). flows: the active chain's flows; the parent's
+// onStart / onResume / onDismiss drive them.
+export default function Workflows({ flows, explorerUrl, onStart, onResume, onDismiss }) {
+  const [kind, setKind] = useState("deposit-security");
+  const [orderText, setOrderText] = useState("");
+  const [error, setError] = useState("");
+
+  function start() {
+    setError("");
+    try {
+      onStart(kind, orderIdFrom(orderText));
+      setOrderText("");
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  return (
+    <Card title="Guided Workflows (Approve, then Deposit)">
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={kind} onChange={(e) => setKind(e.target.value)} className="border rounded-xl px-3 py-2 text-sm">
+          {Object.entries(FLOWS).map(([k, f]) => (
+            <option key={k} value={k}>{f.title}</option>
+          ))}
+        </select>
+        <input value={orderText} onChange={(e) => setOrderText(e.target.value)} placeholder="Order id: 0x… bytes32, or a label such as ORDER1" className="flex-1 min-w-64 border rounded-xl px-3 py-2 font-mono text-xs" />
+        <button onClick={start} className="px-3 py-2 text-sm rounded-xl bg-black text-white shadow hover:opacity-90">Start</button>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <div className="text-xs text-gray-500">Each step is checked on chain first: approve is skipped when the allowance already covers the leg. The next step starts once the previous receipt is in, or waits for Continue while another transaction is being sent; progress is kept in the workspace.</div>
+      {flows.map((flow) => (
+        <div key={flow.id} className="border rounded-xl p-3 space-y-2">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-medium">{FLOWS[flow.kind].title}</span>
+            <Badge status={flow.status} />
+            <span className="font-mono text-xs text-gray-500 break-all">{flow.orderId}</span>
+            <span className="ml-auto flex gap-2">
+              {(flow.status === "ready" || flow.status === "failed") && (
+                <button onClick={() => onResume(flow.id)} className="px-2 py-1 text-xs rounded-lg border hover:bg-gray-50">{flow.status === "failed" ? "Retry" : "Continue"}</button>
+              )}
+              {flow.status !== "running" && (
+                <button onClick={() => onDismiss(flow.id)} className="px-2 py-1 text-xs rounded-lg border hover:bg-gray-50">Dismiss</button>
+              )}
+            </span>
+          </div>
+          <ol className="space-y-1 text-xs">
+            {flow.steps.map((step, i) => (
+              <li key={step.key} className="flex flex-wrap items-center gap-2">
+                <span className="w-20">{i + 1}. {step.key}</span>
+                <Badge status={step.status} />
+                {step.note && <span className="text-gray-600">{step.note}</span>}
+                {step.hash &&
+                  (explorerUrl ? (
+                    <a href={`${explorerUrl}/tx/${step.hash}`} target="_blank" rel="noreferrer" className="font-mono text-blue-700 hover:underline">{step.hash.slice(0, 12)}…</a>
+                  ) : (
+                    <span className="font-mono text-gray-500">{step.hash.slice(0, 12)}…</span>
+                  ))}
+                {step.error && <span className="w-full text-red-600 break-words">{step.error}</span>}
+              </li>
+            ))}
+          </ol>
+        </div>
+      ))}
+    </Card>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useRef, useState } from "react";
+import Card from "./Card";
+
+// Switch, create, delete, export and import named workspaces. The parent owns the state and
+// applies the chosen workspace; this card only collects names and files.
+export default function Workspaces({ names, active, onSwitch, onCreate, onDelete, onExport, onImport }) {
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  function create(copy) {
+    setError("");
+    const name = draft.trim();
+    if (!name) return setError("Enter a workspace name");
+    if (names.includes(name)) return setError(`Workspace "${name}" already exists`);
+    onCreate(name, copy);
+    setDraft("");
+  }
+
+  async function importFile(e) {
+    setError("");
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onImport(await file.text());
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <Card title="Workspace" actions={<span className="text-xs font-mono px-2 py-0.5 rounded-full bg-gray-100">{active}</span>}>
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={active} onChange={(e) => onSwitch(e.target.value)} className="border rounded-xl px-3 py-2 text-sm">
+          {names.map((n) => (
+            <option key={n} value={n}>{n}</option>
+          ))}
+        </select>
+        <button onClick={onExport} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Export JSON</button>
+        <button onClick={() => fileRef.current.click()} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Import JSON…</button>
+        <input ref={fileRef} type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+        <button disabled={names.length < 2} onClick={() => window.confirm(`Delete workspace "${active}"?`) && onDelete()} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50 disabled:opacity-50">Delete</button>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <input value={draft} onChange={(e) => setDraft(e.target.value)} placeholder="New workspace, e.g. anvil-demo" className="flex-1 min-w-48 border rounded-xl px-3 py-2 text-sm" />
+        <button onClick={() => create(false)} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">New empty</button>
+        <button onClick={() => create(true)} className="px-3 py-2 text-sm rounded-xl border hover:bg-gray-50">Duplicate current</button>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <div className="text-xs text-gray-500">Addresses, ABIs, network profiles and party labels are saved in this browser as you edit. Exports leave out the activity log, workflow progress and RPC URLs (they often carry API keys).</div>
+    </Card>
+  );
+}
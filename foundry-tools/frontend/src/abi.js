@@ -0,0 +1,441 @@
+import { keccak_256 } from "js-sha3";
+
+// Solidity ABI codec (https://docs.soliditylang.org/en/latest/abi-spec.html) without external deps.
+// Params are ABI JSON entries: { name, type, components? }. Hex strings are returned without the 0x prefix
+// by the internal helpers; the exported encoders return 0x-prefixed data.
+
+export function bytesToHex(bytes) {
+  return "0x" + Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function hexToBytes(hex) {
+  const h = hex.replace(/^0x/, "");
+  if (h.length % 2 || /[^0-9a-fA-F]/.test(h)) throw new Error(`Invalid hex: ${hex}`);
+  const out = new Uint8Array(h.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(h.slice(i * 2, i * 2 + 2), 16);
+  return out;
+}
+
+export function keccakHex(data) {
+  // data: string (hashed as UTF-8) or Uint8Array
+  return "0x" + keccak_256(data);
+}
+
+export function selector(signature) {
+  // keccak256(signature)[0..4]
+  return "0x" + keccak_256(signature).slice(0, 8);
+}
+
+// ---- Types ----
+
+// Canonical type string, expanding tuples: tuple(address,uint256)[] -> (address,uint256)[]
+export function canonicalType(param) {
+  if (param.type.startsWith("tuple")) {
+    const suffix = param.type.slice("tuple".length);
+    return `(${(param.components || []).map(canonicalType).join(",")})${suffix}`;
+  }
+  return param.type;
+}
+
+export function signature(fn) {
+  return `${fn.name}(${(fn.inputs || []).map(canonicalType).join(",")})`;
+}
+
+// Splits the outermost array dimension: uint256[2][] -> { inner: uint256[2], length: null }
+function arrayInfo(param) {
+  const m = param.type.match(/^(.*)\[(\d*)\]$/);
+  if (!m) return null;
+  return { inner: { ...param, type: m[1] }, length: m[2] === "" ? null : Number(m[2]) };
+}
+
+function isDynamic(param) {
+  const arr = arrayInfo(param);
+  if (arr) return arr.length === null || isDynamic(arr.inner);
+  if (param.type === "string" || param.type === "bytes") return true;
+  if (param.type === "tuple") return (param.components || []).some(isDynamic);
+  return false;
+}
+
+// Number of 32-byte words a static param occupies in the head
+function headWords(param) {
+  if (isDynamic(param)) return 1;
+  const arr = arrayInfo(param);
+  if (arr) return arr.length * headWords(arr.inner);
+  if (param.type === "tuple") return (param.components || []).reduce((n, c) => n + headWords(c), 0);
+  return 1;
+}
+
+function intBits(type) {
+  const m = type.match(/^(u?)int(\d*)$/);
+  if (!m) return null;
+  const bits = m[2] ? Number(m[2]) : 256;
+  if (bits < 8 || bits > 256 || bits % 8) throw new Error(`Invalid type ${type}`);
+  return { signed: !m[1], bits };
+}
+
+function fixedBytesSize(type) {
+  const m = type.match(/^bytes(\d+)$/);
+  if (!m) return null;
+  const size = Number(m[1]);
+  if (size < 1 || size > 32) throw new Error(`Invalid type ${type}`);
+  return size;
+}
+
+// ---- Text args ----
+
+// Splits "a, [1,2], (x,"y,z")" on top-level commas, honouring brackets, parentheses and quotes.
+export function splitArgs(text) {
+  const out = [];
+  let depth = 0;
+  let quote = null;
+  let cur = "";
+  for (const ch of text) {
+    if (quote) {
+      cur += ch;
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "[" || ch === "(") depth++;
+    else if (ch === "]" || ch === ")") depth--;
+    if (ch === "," && depth === 0) {
+      out.push(cur.trim());
+      cur = "";
+      continue;
+    }
+    cur += ch;
+  }
+  if (quote || depth !== 0) throw new Error("Unbalanced quotes or brackets in arguments");
+  if (cur.trim() || out.length) out.push(cur.trim());
+  return out;
+}
+
+function unquote(s) {
+  const m = s.match(/^(["'])([\s\S]*)\1$/);
+  return m ? m[2] : s;
+}
+
+// Turns text for an array/tuple ("[1,2]", "(0xabc,5)") into a JS array of element strings
+function listFromText(value, open) {
+  const s = value.trim();
+  if (!(s.startsWith("[") && s.endsWith("]")) && !(s.startsWith("(") && s.endsWith(")"))) {
+    throw new Error(`Expected ${open === "[" ? "[a, b, …]" : "(a, b, …)"} but got ${value}`);
+  }
+  return splitArgs(s.slice(1, -1));
+}
+
+// ---- Encoding ----
+
+function word(bigint) {
+  return bigint.toString(16).padStart(64, "0");
+}
+
+function padRight(hex) {
+  return hex.padEnd(Math.ceil(hex.length / 64) * 64, "0");
+}
+
+export function toBigInt(v) {
+  if (typeof v === "bigint") return v;
+  if (typeof v === "number") {
+    if (!Number.isSafeInteger(v)) throw new Error(`Unsafe integer ${v}; pass it as a string`);
+    return BigInt(v);
+  }
+  const s = unquote(String(v).trim());
+  if (!/^-?(0x[0-9a-fA-F]+|\d+)$/.test(s)) throw new Error(`Invalid integer: ${v}`);
+  return s.startsWith("-") ? -BigInt(s.slice(1)) : BigInt(s);
+}
+
+function encodeInt(type, value) {
+  const { signed, bits } = intBits(type);
+  const n = toBigInt(value);
+  const max = signed ? (1n << BigInt(bits - 1)) - 1n : (1n << BigInt(bits)) - 1n;
+  const min = signed ? -(1n << BigInt(bits - 1)) : 0n;
+  if (n < min || n > max) throw new Error(`${value} out of range for ${type}`);
+  return word(n < 0n ? (1n << 256n) + n : n);
+}
+
+export const isAddress = (v) => /^0x[0-9a-fA-F]{40}$/.test(v || "");
+
+// Case-insensitive (checksummed or not); false when either side is missing
+export const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+function encodeAddress(value) {
+  const s = unquote(String(value).trim());
+  if (!isAddress(s)) throw new Error(`Invalid address: ${value}`);
+  return s.slice(2).toLowerCase().padStart(64, "0");
+}
+
+function encodeBool(value) {
+  const s = typeof value === "string" ? unquote(value.trim()).toLowerCase() : value;
+  if (s === true || s === "true" || s === "1" || s === 1) return word(1n);
+  if (s === false || s === "false" || s === "0" || s === 0) return word(0n);
+  throw new Error(`Invalid bool: ${value}`);
+}
+
+function bytesHex(value) {
+  if (value instanceof Uint8Array) return bytesToHex(value).slice(2);
+  const s = unquote(String(value).trim());
+  if (!/^0x([0-9a-fA-F]{2})*$/.test(s)) throw new Error(`Invalid bytes (expect 0x-prefixed even-length hex): ${value}`);
+  return s.slice(2).toLowerCase();
+}
+
+function encodeFixedBytes(type, value) {
+  const size = fixedBytesSize(type);
+  const h = bytesHex(value);
+  if (h.length !== size * 2) throw new Error(`${type} needs exactly ${size} bytes, got ${h.length / 2}`);
+  return h.padEnd(64, "0");
+}
+
+function encodeDynamicBytes(hex) {
+  return word(BigInt(hex.length / 2)) + padRight(hex);
+}
+
+function encodeString(str) {
+  const bytes = new TextEncoder().encode(typeof str === "string" ? unquote(str) : String(str));
+  return encodeDynamicBytes(bytesToHex(bytes).slice(2));
+}
+
+// Encodes a sequence of params (a tuple body) with head/tail layout
+function encodeTuple(params, values) {
+  if (values.length !== params.length) {
+    throw new Error(`Expected ${params.length} values, got ${values.length}`);
+  }
+  const parts = params.map((p, i) => ({ dynamic: isDynamic(p), data: encodeParam(p, values[i]) }));
+  const headSize = params.reduce((n, p) => n + headWords(p) * 32, 0);
+  let head = "";
+  let tail = "";
+  for (const part of parts) {
+    if (part.dynamic) {
+      head += word(BigInt(headSize + tail.length / 2));
+      tail += part.data;
+    } else {
+      head += part.data;
+    }
+  }
+  return head + tail;
+}
+
+function tupleValues(param, value) {
+  const comps = param.components || [];
+  if (typeof value === "string") return listFromText(value, "(");
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === "object") {
+    return comps.map((c, i) => {
+      if (c.name && c.name in value) return value[c.name];
+      if (i in value) return value[i];
+      throw new Error(`Missing tuple field ${c.name || i}`);
+    });
+  }
+  throw new Error(`Invalid tuple value: ${value}`);
+}
+
+function encodeParam(param, value) {
+  const arr = arrayInfo(param);
+  if (arr) {
+    const items = typeof value === "string" ? listFromText(value, "[") : value;
+    if (!Array.isArray(items)) throw new Error(`Expected array for ${param.type}`);
+    if (arr.length !== null && items.length !== arr.length) {
+      throw new Error(`${param.type} needs ${arr.length} items, got ${items.length}`);
+    }
+    const body = encodeTuple(items.map(() => arr.inner), items);
+    return arr.length === null ? word(BigInt(items.length)) + body : body;
+  }
+  const t = param.type;
+  if (t === "tuple") return encodeTuple(param.components || [], tupleValues(param, value));
+  if (t === "address") return encodeAddress(value);
+  if (t === "bool") return encodeBool(value);
+  if (t === "string") return encodeString(value);
+  if (t === "bytes") return encodeDynamicBytes(bytesHex(value));
+  if (intBits(t)) return encodeInt(t, value);
+  if (fixedBytesSize(t)) return encodeFixedBytes(t, value);
+  throw new Error(`Unsupported type ${t}`);
+}
+
+// Encodes argument values for inputs; values may be JS values or the raw text typed by the user
+export function encodeArgs(inputs, values) {
+  return "0x" + encodeTuple(inputs, values);
+}
+
+// Full calldata: selector + encoded args
+export function encodeCall(fn, values) {
+  return selector(signature(fn)) + encodeTuple(fn.inputs || [], values);
+}
+
+// All ABI entries (functions, events, errors); [] for empty or invalid JSON
+export function parseAbiItems(abiText) {
+  try {
+    const abi = JSON.parse(abiText);
+    if (!Array.isArray(abi)) throw new Error("ABI must be a JSON array");
+    return abi;
+  } catch {
+    return [];
+  }
+}
+
+export function parseAbi(abiText) {
+  return parseAbiItems(abiText).filter((x) => x.type === "function");
+}
+
+// ---- Decoding ----
+
+export function toChecksumAddress(address) {
+  const a = address.toLowerCase().replace(/^0x/, "");
+  const hash = keccak_256(a);
+  let out = "0x";
+  for (let i = 0; i < 40; i++) out += parseInt(hash[i], 16) >= 8 ? a[i].toUpperCase() : a[i];
+  return out;
+}
+
+function readWord(data, at) {
+  const w = data.slice(at * 2, at * 2 + 64);
+  if (w.length !== 64) throw new Error("Return data too short for ABI outputs");
+  return w;
+}
+
+function readUint(data, at) {
+  return BigInt("0x" + readWord(data, at));
+}
+
+function readOffset(data, at) {
+  const n = readUint(data, at);
+  if (n > BigInt(data.length / 2)) throw new Error("Invalid offset in return data");
+  return Number(n);
+}
+
+function decodeTuple(params, data, base) {
+  let pos = base;
+  return params.map((p) => {
+    if (isDynamic(p)) {
+      const v = decodeParam(p, data, base + readOffset(data, pos));
+      pos += 32;
+      return v;
+    }
+    const v = decodeParam(p, data, pos);
+    pos += headWords(p) * 32;
+    return v;
+  });
+}
+
+function decodeParam(param, data, at) {
+  const arr = arrayInfo(param);
+  if (arr) {
+    if (arr.length === null) {
+      const n = readOffset(data, at);
+      return decodeTuple(Array(n).fill(arr.inner), data, at + 32);
+    }
+    return decodeTuple(Array(arr.length).fill(arr.inner), data, at);
+  }
+  const t = param.type;
+  if (t === "tuple") {
+    const comps = param.components || [];
+    const values = decodeTuple(comps, data, at);
+    return Object.fromEntries(comps.map((c, i) => [c.name || String(i), values[i]]));
+  }
+  if (t === "address") return toChecksumAddress(readWord(data, at).slice(24));
+  if (t === "bool") return readUint(data, at) !== 0n;
+  if (t === "string" || t === "bytes") {
+    const len = readOffset(data, at);
+    const hex = data.slice((at + 32) * 2, (at + 32 + len) * 2);
+    if (hex.length !== len * 2) throw new Error("Return data too short for ABI outputs");
+    return t === "bytes" ? "0x" + hex : new TextDecoder().decode(hexToBytes(hex));
+  }
+  const ib = intBits(t);
+  if (ib) {
+    const n = readUint(data, at);
+    return ib.signed && n >= 1n << 255n ? n - (1n << 256n) : n;
+  }
+  const size = fixedBytesSize(t);
+  if (size) return "0x" + readWord(data, at).slice(0, size * 2);
+  throw new Error(`Unsupported type ${t}`);
+}
+
+// Decodes ABI-encoded data (e.g. eth_call output) into an array of values, one per param.
+// uint/int -> BigInt, address -> checksummed string, bytes -> hex, tuple -> object keyed by component name.
+export function decodeParams(params, dataHex) {
+  const data = (dataHex || "0x").replace(/^0x/, "").toLowerCase();
+  if (data.length % 2) throw new Error("Odd-length hex data");
+  return decodeTuple(params || [], data, 0);
+}
+
+// JSON-ish text for decoded values (BigInt safe), used for logs
+export function valueToText(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return `[${value.map(valueToText).join(", ")}]`;
+  if (value && typeof value === "object") {
+    return `{ ${Object.entries(value).map(([k, v]) => `${k}: ${valueToText(v)}`).join(", ")} }`;
+  }
+  return typeof value === "string" ? value : String(value);
+}
+
+// Inline validation for a single form value: null when it encodes, otherwise the encoder's message
+export function validateArg(param, value) {
+  try {
+    encodeTuple([param], [value]);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// ---- ABI sources ----
+
+// sources: [{ label, abi }] where abi is an array of ABI items. Returns every function whose
+// selector matches the first 4 bytes of data, tagged with the contract label it came from.
+export function findFunctionsBySelector(sources, data) {
+  const sel = (data || "").slice(0, 10).toLowerCase();
+  const out = [];
+  for (const { label, abi } of sources) {
+    for (const item of abi) {
+      if (item.type === "function" && selector(signature(item)) === sel) out.push({ label, fn: item });
+    }
+  }
+  return out;
+}
+
+// Decodes the arguments of calldata produced by encodeCall
+export function decodeCalldata(fn, data) {
+  return decodeParams(fn.inputs, "0x" + data.replace(/^0x/, "").slice(8));
+}
+
+// Decodes a receipt / eth_getLogs entry against the events in abiItems. Returns { event, values } with
+// values in input order, or null when no event matches topic0 and the indexed-topic count. Indexed
+// dynamic values (string, bytes, arrays, tuples) are only available as their keccak hash.
+export function decodeLog(abiItems, { topics = [], data }) {
+  const topic0 = (topics[0] || "").toLowerCase();
+  for (const event of abiItems) {
+    if (event.type !== "event" || event.anonymous) continue;
+    const indexed = event.inputs.filter((i) => i.indexed);
+    if (keccakHex(signature(event)) !== topic0 || indexed.length !== topics.length - 1) continue;
+    try {
+      const plain = decodeParams(event.inputs.filter((i) => !i.indexed), data);
+      let t = 1;
+      let d = 0;
+      const values = event.inputs.map((input) => {
+        if (!input.indexed) return plain[d++];
+        const topic = topics[t++];
+        return arrayInfo(input) || ["string", "bytes", "tuple"].includes(input.type) ? topic : decodeParams([input], topic)[0];
+      });
+      return { event, values };
+    } catch {
+      continue; // same signature, different indexing or data layout
+    }
+  }
+  return null;
+}
+
+// Looks a function up by canonical signature ("mint(address,uint256)") or bare name. A bare name
+// only resolves when it is not overloaded, or when argCount singles out one overload; with
+// argCount given, a name whose only forms take a different number of arguments throws.
+export function resolveFunction(fns, nameOrSig, argCount) {
+  const key = nameOrSig.replace(/\s+/g, "");
+  if (key.includes("(")) return fns.find((f) => signature(f) === key) || null;
+  const named = fns.filter((f) => f.name === key);
+  const candidates = argCount === undefined ? named : named.filter((f) => f.inputs.length === argCount);
+  if (named.length && !candidates.length) {
+    throw new Error(`${key} takes ${[...new Set(named.map((f) => f.inputs.length))].join(" or ")} args (${named.map(signature).join(", ")}), not ${argCount}`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`${key} is overloaded (${candidates.map(signature).join(", ")}); pick one by full signature`);
+  }
+  return candidates[0] || null;
+}
@@ -0,0 +1,68 @@
+import { useEffect, useState } from "react";
+import { isAddress, keccakHex } from "./abi";
+import { findOpenOrders, lockedByOrders, readAllowance, readHasRole, UNLIMITED } from "./dvp";
+import { fetchTokenInfo } from "./tokens";
+
+// The connected account's ERC-20 allowances toward the spenders that pull its tokens: DVPEscrow for
+// every leg, and SECT burners (SecToken.burnFrom spends allowance; the cash rails' burn does not).
+// Burners are address-book parties holding BURNER_ROLE. Escrow rows carry what the account's open
+// orders still need locked, so a too-low allowance shows up before a deposit reverts.
+
+const BURNER_ROLE = keccakHex("BURNER_ROLE");
+const TOKENS = ["SecToken", "wCash", "wCBDC"];
+
+export const isUnlimited = (allowance) => allowance >= UNLIMITED / 2n;
+
+async function loadAllowances(account, addresses, startBlock, parties) {
+  const { DVPEscrow: dvp, SecToken: sect } = addresses;
+  const burners = isAddress(sect)
+    ? (await Promise.all(parties.filter((p) => isAddress(p.address)).map(async (p) => ((await readHasRole(sect, BURNER_ROLE, p.address)) ? p : null)))).filter(Boolean)
+    : [];
+  let open = { orders: [], scanFrom: null };
+  let ordersError = "";
+  if (isAddress(dvp)) {
+    try {
+      open = await findOpenOrders(dvp, account, startBlock);
+    } catch (e) {
+      ordersError = e.message;
+    }
+  }
+
+  const pairs = [];
+  for (const key of TOKENS) {
+    const token = addresses[key];
+    if (!isAddress(token)) continue;
+    if (isAddress(dvp)) pairs.push({ tokenKey: key, token, spender: dvp, spenderLabel: "DVPEscrow", role: "escrow" });
+    if (key === "SecToken") for (const b of burners) pairs.push({ tokenKey: key, token, spender: b.address, spenderLabel: b.label, role: "burner" });
+  }
+  const rows = await Promise.all(
+    pairs.map(async (p) => {
+      const [allowance, info] = await Promise.all([readAllowance(p.token, account, p.spender), fetchTokenInfo(p.token)]);
+      const needed = p.role === "escrow" ? lockedByOrders(open.orders, account, p.token) : 0n;
+      return { ...p, allowance, needed, decimals: info.decimals ?? 18, symbol: info.symbol || p.tokenKey };
+    })
+  );
+  return { rows, orders: open.orders, scanFrom: open.scanFrom, ordersError };
+}
+
+// { status: "idle" | "loading" | "ready" | "error", rows, orders, scanFrom, ordersError, error }.
+// refreshKey: re-read when it changes (e.g. a transaction was mined); refresh() re-reads on demand.
+export function useAllowances(account, network, parties, refreshKey) {
+  const [state, setState] = useState({ status: "idle", rows: [], orders: [] });
+  const [nonce, setNonce] = useState(0);
+  const { addresses, startBlock, rpcUrl } = network;
+
+  useEffect(() => {
+    if (!account) return setState({ status: "idle", rows: [], orders: [] });
+    let cancelled = false;
+    setState((prev) => ({ ...prev, status: "loading" }));
+    loadAllowances(account, addresses, startBlock, parties)
+      .then((result) => !cancelled && setState({ status: "ready", ...result }))
+      .catch((e) => !cancelled && setState({ status: "error", rows: [], orders: [], error: e.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [account, addresses, startBlock, parties, rpcUrl, refreshKey, nonce]);
+
+  return { ...state, refresh: () => setNonce((n) => n + 1) };
+}
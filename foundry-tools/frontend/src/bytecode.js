@@ -0,0 +1,82 @@
+import { useEffect, useState } from "react";
+import { isAddress } from "./abi";
+import { httpRequest, request } from "./rpc";
+
+// Compares on-chain runtime code (eth_getCode) with a Foundry artifact's deployedBytecode, so a pasted
+// address is known to be the contract the card expects. Immutables differ per deployment and the CBOR
+// metadata tail differs per build environment, so both are masked before comparing.
+
+// Artifact each profile address should run (see networks.js CONTRACT_KEYS)
+export const EXPECTED_ARTIFACT = {
+  ComplianceRegistry: "ComplianceRegistry",
+  SecToken: "SecToken",
+  wCash: "MintableERC20",
+  wCBDC: "MintableERC20",
+  DVPEscrow: "DVPEscrow",
+};
+
+// Solidity appends CBOR-encoded metadata followed by its 2-byte length
+function stripMetadata(hex) {
+  if (hex.length < 4) return hex;
+  const len = parseInt(hex.slice(-4), 16);
+  const start = hex.length - 4 - len * 2;
+  if (start < 0) return hex;
+  const head = parseInt(hex.slice(start, start + 2), 16);
+  return head >= 0xa1 && head <= 0xbf ? hex.slice(0, start) : hex; // CBOR map
+}
+
+// immutableReferences: { astId: [{ start, length }] } in bytes
+function maskImmutables(hex, immutableReferences = {}) {
+  let out = hex;
+  for (const refs of Object.values(immutableReferences)) {
+    for (const { start, length } of refs) out = out.slice(0, start * 2) + "00".repeat(length) + out.slice((start + length) * 2);
+  }
+  return out;
+}
+
+function normalize(code, immutableReferences) {
+  return stripMetadata(maskImmutables(code.replace(/^0x/, "").toLowerCase(), immutableReferences));
+}
+
+// "not-a-contract" | "verified" | "mismatch"
+export function compareBytecode(onchain, artifact) {
+  if (!onchain || onchain === "0x") return "not-a-contract";
+  const { object, immutableReferences } = artifact.deployedBytecode;
+  return normalize(onchain, immutableReferences) === normalize(object, immutableReferences) ? "verified" : "mismatch";
+}
+
+// Name of the first artifact the code matches, to say what a wrong address actually points at
+export function identifyBytecode(onchain, artifacts) {
+  return Object.keys(artifacts).find((name) => compareBytecode(onchain, artifacts[name]) === "verified") || "";
+}
+
+// One check of address against the expected artifact: { status: "not-a-contract" | "verified" | "mismatch" | "no-artifact", actual }.
+// rpcUrl is passed explicitly: the check may run before the page has configured the transport.
+export async function checkBytecode(address, expected, artifacts, rpcUrl) {
+  const params = [address, "latest"];
+  const code = await (rpcUrl ? httpRequest("eth_getCode", params, rpcUrl) : request("eth_getCode", params));
+  const artifact = artifacts[expected];
+  const isContract = code && code !== "0x";
+  const status = !isContract ? "not-a-contract" : artifact ? compareBytecode(code, artifact) : "no-artifact";
+  return { status, actual: status === "mismatch" || status === "no-artifact" ? identifyBytecode(code, artifacts) : expected };
+}
+
+// { status: "idle" | "checking" | "not-a-contract" | "verified" | "mismatch" | "no-artifact" | "error", actual, error }
+export function useBytecodeCheck(address, expected, artifacts, rpcUrl) {
+  const [check, setCheck] = useState({ status: "idle" });
+  const artifact = artifacts[expected];
+
+  useEffect(() => {
+    if (!isAddress(address)) return setCheck({ status: "idle" });
+    let cancelled = false;
+    setCheck({ status: "checking" });
+    checkBytecode(address, expected, artifacts, rpcUrl)
+      .then((result) => !cancelled && setCheck(result))
+      .catch((e) => !cancelled && setCheck({ status: "error", error: e.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [address, expected, artifact, artifacts, rpcUrl]);
+
+  return check;
+}
@@ -0,0 +1,126 @@
+import foundry from "virtual:foundry";
+
+// ABIs of the contracts in src/ (SecurityToken.sol, ComplianceRegistry.sol, DVPEscrow.sol, MintableERC20.sol),
+// including the OpenZeppelin 5 ERC20/AccessControl surface they inherit, so the UI can decode calldata,
+// logs and errors before any ABI is pasted. The compiled artifacts (vite-plugin-foundry.js) win when
+// out/ has them; the hand-kept copies below are the fallback for a page built without `forge build`.
+
+const p = (type, name = "", components) => (components ? { name, type, components } : { name, type });
+const fn = (name, inputs, outputs = [], stateMutability = "nonpayable") => ({ type: "function", name, inputs, outputs, stateMutability });
+const view = (name, inputs, outputs) => fn(name, inputs, outputs, "view");
+const ev = (name, ...inputs) => ({ type: "event", name, anonymous: false, inputs });
+const idx = (type, name) => ({ name, type, indexed: true });
+const arg = (type, name) => ({ name, type, indexed: false });
+const err = (name, ...inputs) => ({ type: "error", name, inputs });
+
+const ERC20 = [
+  view("name", [], [p("string")]),
+  view("symbol", [], [p("string")]),
+  view("decimals", [], [p("uint8")]),
+  view("totalSupply", [], [p("uint256")]),
+  view("balanceOf", [p("address", "account")], [p("uint256")]),
+  view("allowance", [p("address", "owner"), p("address", "spender")], [p("uint256")]),
+  fn("transfer", [p("address", "to"), p("uint256", "value")], [p("bool")]),
+  fn("approve", [p("address", "spender"), p("uint256", "value")], [p("bool")]),
+  fn("transferFrom", [p("address", "from"), p("address", "to"), p("uint256", "value")], [p("bool")]),
+  ev("Transfer", idx("address", "from"), idx("address", "to"), arg("uint256", "value")),
+  ev("Approval", idx("address", "owner"), idx("address", "spender"), arg("uint256", "value")),
+  err("ERC20InsufficientBalance", p("address", "sender"), p("uint256", "balance"), p("uint256", "needed")),
+  err("ERC20InvalidSender", p("address", "sender")),
+  err("ERC20InvalidReceiver", p("address", "receiver")),
+  err("ERC20InsufficientAllowance", p("address", "spender"), p("uint256", "allowance"), p("uint256", "needed")),
+  err("ERC20InvalidApprover", p("address", "approver")),
+  err("ERC20InvalidSpender", p("address", "spender")),
+];
+
+const ACCESS_CONTROL = [
+  view("DEFAULT_ADMIN_ROLE", [], [p("bytes32")]),
+  view("hasRole", [p("bytes32", "role"), p("address", "account")], [p("bool")]),
+  view("getRoleAdmin", [p("bytes32", "role")], [p("bytes32")]),
+  view("supportsInterface", [p("bytes4", "interfaceId")], [p("bool")]),
+  fn("grantRole", [p("bytes32", "role"), p("address", "account")]),
+  fn("revokeRole", [p("bytes32", "role"), p("address", "account")]),
+  fn("renounceRole", [p("bytes32", "role"), p("address", "callerConfirmation")]),
+  ev("RoleGranted", idx("bytes32", "role"), idx("address", "account"), idx("address", "sender")),
+  ev("RoleRevoked", idx("bytes32", "role"), idx("address", "account"), idx("address", "sender")),
+  ev("RoleAdminChanged", idx("bytes32", "role"), idx("bytes32", "previousAdminRole"), idx("bytes32", "newAdminRole")),
+  err("AccessControlUnauthorizedAccount", p("address", "account"), p("bytes32", "neededRole")),
+  err("AccessControlBadConfirmation"),
+];
+
+const SEC_TOKEN = [
+  ...ERC20,
+  ...ACCESS_CONTROL,
+  view("MINTER_ROLE", [], [p("bytes32")]),
+  view("BURNER_ROLE", [], [p("bytes32")]),
+  view("compliance", [], [p("address")]),
+  fn("mint", [p("address", "to"), p("uint256", "amount"), p("uint256", "appId")]),
+  fn("burnFrom", [p("address", "from"), p("uint256", "amount"), p("bytes32", "refId")]),
+  ev("Issued", idx("address", "to"), arg("uint256", "amount"), arg("uint256", "appId")),
+  ev("Redeemed", idx("address", "from"), arg("uint256", "amount"), arg("bytes32", "refId")),
+];
+
+const COMPLIANCE_REGISTRY = [
+  ...ACCESS_CONTROL,
+  view("KYC_ADMIN_ROLE", [], [p("bytes32")]),
+  view("isKYCd", [p("address")], [p("bool")]),
+  view("canTransfer", [p("address", "from"), p("address", "to"), p("uint256")], [p("bool")]),
+  fn("setKYC", [p("address", "a"), p("bool", "ok")]),
+  ev("KYCSet", idx("address", "subject"), arg("bool", "ok"), idx("address", "admin")),
+];
+
+const MINTABLE_ERC20 = [
+  ...ERC20,
+  ...ACCESS_CONTROL,
+  view("MINTER_ROLE", [], [p("bytes32")]),
+  fn("mint", [p("address", "to"), p("uint256", "amt")]),
+  fn("burn", [p("address", "from"), p("uint256", "amt")]),
+];
+
+const ORDER = p("tuple", "", [
+  p("address", "seller"),
+  p("address", "buyer"),
+  p("address", "sec"),
+  p("uint256", "secAmt"),
+  p("address", "cash"),
+  p("uint256", "cashAmt"),
+  p("uint64", "deadline"),
+  p("bool", "secLocked"),
+  p("bool", "cashLocked"),
+  p("bool", "settled"),
+]);
+
+const DVP_ESCROW = [
+  fn("initiate", [
+    p("bytes32", "id"),
+    p("address", "seller"),
+    p("address", "buyer"),
+    p("address", "sec"),
+    p("uint256", "secAmt"),
+    p("address", "cash"),
+    p("uint256", "cashAmt"),
+    p("uint64", "deadline"),
+  ]),
+  fn("depositSecurity", [p("bytes32", "id")]),
+  fn("depositCash", [p("bytes32", "id")]),
+  fn("settle", [p("bytes32", "id")]),
+  fn("cancel", [p("bytes32", "id")]),
+  view("getOrder", [p("bytes32", "id")], [{ ...ORDER, internalType: "struct DVPEscrow.Order" }]),
+  ev("EscrowInitiated", idx("bytes32", "id"), idx("address", "seller"), idx("address", "buyer")),
+  ev("SecurityLocked", idx("bytes32", "id")),
+  ev("CashLocked", idx("bytes32", "id")),
+  ev("Settled", idx("bytes32", "id")),
+  ev("Cancelled", idx("bytes32", "id")),
+  err("ReentrancyGuardReentrantCall"),
+  err("SafeERC20FailedOperation", p("address", "token")),
+];
+
+const FALLBACK_ABIS = {
+  SecToken: SEC_TOKEN,
+  ComplianceRegistry: COMPLIANCE_REGISTRY,
+  DVPEscrow: DVP_ESCROW,
+  MintableERC20: MINTABLE_ERC20,
+};
+
+// Contract name (as compiled) -> ABI, from the artifacts present when the page was built
+export const BUILTIN_ABIS = Object.fromEntries(Object.entries(FALLBACK_ABIS).map(([name, abi]) => [name, foundry.artifacts[name]?.abi || abi]));
@@ -0,0 +1,87 @@
+// Deployed addresses from Foundry broadcast files (broadcast/Deploy.s.sol/<chainId>/run-latest.json)
+// and the listener's env file (listener/listener.env). Pure functions: used by the UI, the Vite
+// plugin and scripts/listener-env.js alike, so this module must not import anything (plain Node runs it).
+
+// listener.env variable per profile address key (networks.js CONTRACT_KEYS)
+export const ENV_KEYS = {
+  ComplianceRegistry: "COMPLIANCE_ADDRESS",
+  SecToken: "SECT_ADDRESS",
+  wCash: "WCASH_ADDRESS",
+  wCBDC: "WCBDC_ADDRESS",
+  DVPEscrow: "DVP_ADDRESS",
+};
+
+const CASH_RAILS = ["wCash", "wCBDC"];
+
+// Deploy.s.sol deploys MintableERC20 twice; the first constructor argument (token name) tells them apart,
+// falling back to deployment order (wCash, then wCBDC)
+function keyFor(tx, mintables) {
+  switch (tx.contractName) {
+    case "ComplianceRegistry":
+    case "DVPEscrow":
+      return tx.contractName;
+    case "SecToken":
+    case "SecurityToken":
+      return "SecToken";
+    case "MintableERC20": {
+      const name = String(tx.arguments?.[0] || "").replace(/^"|"$/g, "");
+      return CASH_RAILS.find((k) => k.toLowerCase() === name.toLowerCase()) || CASH_RAILS[mintables] || null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Returns { chainId, timestamp (ms), startBlock, addresses: { SecToken: "0x…", … } } from a run-*.json;
+// startBlock is the first deployment's block (from the receipts), null when the file has none
+export function parseBroadcast(json) {
+  const run = typeof json === "string" ? JSON.parse(json) : json;
+  if (!Array.isArray(run?.transactions)) throw new Error("Not a Foundry broadcast file (no transactions)");
+  const addresses = {};
+  let mintables = 0;
+  for (const tx of run.transactions) {
+    if (!["CREATE", "CREATE2"].includes(tx.transactionType) || !tx.contractAddress) continue;
+    const key = keyFor(tx, mintables);
+    if (tx.contractName === "MintableERC20") mintables++;
+    if (key) addresses[key] = tx.contractAddress; // forge writes these checksummed
+  }
+  const blocks = (run.receipts || []).map((r) => Number(r.blockNumber)).filter((n) => Number.isInteger(n));
+  const timestamp = Number(run.timestamp) || 0;
+  return { chainId: Number(run.chain) || null, timestamp: timestamp < 1e12 ? timestamp * 1000 : timestamp, startBlock: blocks.length ? Math.min(...blocks) : null, addresses };
+}
+
+// KEY=value lines; comments and blank lines ignored, optional quotes stripped
+export function parseEnv(text) {
+  const vars = {};
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (m) vars[m[1]] = m[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+  return vars;
+}
+
+export function addressesFromEnv(text) {
+  const vars = parseEnv(text);
+  const addresses = {};
+  for (const [key, name] of Object.entries(ENV_KEYS)) {
+    if (/^0x[0-9a-fA-F]{40}$/.test(vars[name] || "")) addresses[key] = vars[name];
+  }
+  return addresses;
+}
+
+// Rewrites the address variables in an existing env file (keeping every other line, e.g. the RPC URLs)
+// and appends any that are missing
+export function writeEnvAddresses(text, addresses) {
+  const pending = Object.entries(ENV_KEYS).filter(([key]) => addresses[key]);
+  const done = new Set();
+  const lines = (text || "").split(/\r?\n/).map((line) => {
+    const hit = pending.find(([, name]) => new RegExp(`^\\s*(export\\s+)?${name}\\s*=`).test(line));
+    if (!hit) return line;
+    done.add(hit[1]);
+    return `${hit[1]}=${addresses[hit[0]]}`;
+  });
+  const missing = pending.filter(([, name]) => !done.has(name)).map(([key, name]) => `${name}=${addresses[key]}`);
+  while (lines.length && lines[lines.length - 1] === "") lines.pop();
+  if (missing.length && lines.length) lines.push("");
+  return [...lines, ...missing, ""].join("\n");
+}
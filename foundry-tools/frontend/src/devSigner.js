@@ -0,0 +1,180 @@
+import { keccak_256 } from "js-sha3";
+import { bytesToHex, hexToBytes } from "./abi";
+import { getRpcUrl, httpRequest, toHex } from "./rpc";
+import { mnemonicToPrivateKeys, privateKeyToAddress, sign } from "./secp256k1";
+
+// In-browser signer for local demos against anvil. It exposes the EIP-1193 surface the rest of the UI
+// already uses (request/on/removeListener), signs transactions itself and broadcasts them with
+// eth_sendRawTransaction over the configured JSON-RPC endpoint. DEV ONLY: keys live in this page.
+
+export const DEV_SIGNER_RDNS = "local.dev-signer";
+const STORAGE_KEY = "dvp-ui.devSigner";
+
+// ---- RLP ----
+
+function quantityBytes(value) {
+  const n = BigInt(value || 0);
+  if (n === 0n) return new Uint8Array();
+  const hex = n.toString(16);
+  return hexToBytes(hex.length % 2 ? "0" + hex : hex);
+}
+
+function lengthPrefix(len, offset) {
+  if (len < 56) return new Uint8Array([offset + len]);
+  const lenBytes = quantityBytes(len);
+  return new Uint8Array([offset + 55 + lenBytes.length, ...lenBytes]);
+}
+
+// items: Uint8Array or (nested) arrays of them
+export function rlpEncode(item) {
+  if (Array.isArray(item)) {
+    const body = item.map(rlpEncode);
+    const len = body.reduce((n, b) => n + b.length, 0);
+    return Uint8Array.from([...lengthPrefix(len, 0xc0), ...body.flatMap((b) => [...b])]);
+  }
+  if (item.length === 1 && item[0] < 0x80) return item;
+  return Uint8Array.from([...lengthPrefix(item.length, 0x80), ...item]);
+}
+
+// ---- Transactions ----
+
+const bytesOf = (hex) => hexToBytes(hex || "0x");
+
+// Returns the signed raw transaction: EIP-1559 (type 2) when maxFeePerGas is set, else EIP-155 legacy
+export async function signTransaction(tx, privateKey) {
+  const key = hexToBytes(privateKey);
+  const to = tx.to ? bytesOf(tx.to) : new Uint8Array();
+  if (tx.maxFeePerGas !== undefined) {
+    const fields = [
+      quantityBytes(tx.chainId),
+      quantityBytes(tx.nonce),
+      quantityBytes(tx.maxPriorityFeePerGas),
+      quantityBytes(tx.maxFeePerGas),
+      quantityBytes(tx.gas),
+      to,
+      quantityBytes(tx.value),
+      bytesOf(tx.data),
+      [],
+    ];
+    const digest = hexToBytes(keccak_256(Uint8Array.from([2, ...rlpEncode(fields)])));
+    const { r, s, recovery } = await sign(digest, key);
+    const signed = rlpEncode([...fields, quantityBytes(recovery), quantityBytes(r), quantityBytes(s)]);
+    return bytesToHex(Uint8Array.from([2, ...signed]));
+  }
+  const fields = [quantityBytes(tx.nonce), quantityBytes(tx.gasPrice), quantityBytes(tx.gas), to, quantityBytes(tx.value), bytesOf(tx.data)];
+  const chainId = BigInt(tx.chainId);
+  const digest = hexToBytes(keccak_256(rlpEncode([...fields, quantityBytes(chainId), new Uint8Array(), new Uint8Array()])));
+  const { r, s, recovery } = await sign(digest, key);
+  return bytesToHex(rlpEncode([...fields, quantityBytes(BigInt(recovery) + chainId * 2n + 35n), quantityBytes(r), quantityBytes(s)]));
+}
+
+// ---- Encrypted key storage (PBKDF2 + AES-GCM via Web Crypto) ----
+
+async function aesKey(passphrase, salt) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", salt, iterations: 210000, hash: "SHA-256" }, base, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+export function hasStoredKeys() {
+  return !!localStorage.getItem(STORAGE_KEY);
+}
+
+export function forgetStoredKeys() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+export async function saveKeys(keys, passphrase) {
+  if (!passphrase) throw new Error("A passphrase is required to store dev keys");
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plain = new TextEncoder().encode(JSON.stringify(keys));
+  const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await aesKey(passphrase, salt), plain));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ salt: bytesToHex(salt), iv: bytesToHex(iv), data: bytesToHex(cipher) }));
+}
+
+export async function loadKeys(passphrase) {
+  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+  if (!stored) throw new Error("No dev keys stored");
+  try {
+    const key = await aesKey(passphrase, hexToBytes(stored.salt));
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: hexToBytes(stored.iv) }, key, hexToBytes(stored.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw new Error("Wrong passphrase or corrupted dev key store");
+  }
+}
+
+// Accepts a mnemonic (derives `count` accounts) or private keys, one per line
+export async function importKeys(text, count = 10) {
+  const lines = text.trim().split(/\s*\n\s*/).filter(Boolean);
+  const isKeys = lines.every((l) => /^(0x)?[0-9a-fA-F]{64}$/.test(l));
+  const keys = isKeys ? lines.map((l) => (l.startsWith("0x") ? l : "0x" + l).toLowerCase()) : await mnemonicToPrivateKeys(text, count);
+  keys.forEach((k) => privateKeyToAddress(hexToBytes(k))); // validates range
+  return keys;
+}
+
+// ---- EIP-1193 provider ----
+
+export function createDevSignerProvider(keys) {
+  const accounts = keys.map((k) => ({ key: k, address: privateKeyToAddress(hexToBytes(k)) }));
+  const listeners = {};
+  let active = 0;
+
+  const rpc = (method, params = []) => {
+    if (!getRpcUrl()) throw new Error("The dev signer needs a JSON-RPC endpoint (e.g. anvil at http://127.0.0.1:8545)");
+    return httpRequest(method, params);
+  };
+  const emit = (event, ...args) => (listeners[event] || []).forEach((fn) => fn(...args));
+
+  async function sendTransaction(tx) {
+    const from = (tx.from || accounts[active].address).toLowerCase();
+    const account = accounts.find((a) => a.address.toLowerCase() === from);
+    if (!account) throw new Error(`Dev signer has no key for ${tx.from}`);
+    const [chainId, nonce, block] = await Promise.all([
+      tx.chainId ? Promise.resolve(tx.chainId) : rpc("eth_chainId"),
+      tx.nonce !== undefined ? Promise.resolve(tx.nonce) : rpc("eth_getTransactionCount", [account.address, "pending"]),
+      rpc("eth_getBlockByNumber", ["latest", false]),
+    ]);
+    const full = { ...tx, from: account.address, chainId, nonce };
+    if (full.gas === undefined) full.gas = await rpc("eth_estimateGas", [{ from: account.address, to: tx.to, data: tx.data, value: tx.value }]);
+    if (full.gasPrice === undefined && block?.baseFeePerGas) {
+      // EIP-1559 unless the caller pinned a legacy gasPrice
+      full.maxPriorityFeePerGas ??= toHex(1_000_000_000n);
+      full.maxFeePerGas ??= toHex(BigInt(block.baseFeePerGas) * 2n + BigInt(full.maxPriorityFeePerGas));
+    } else if (full.gasPrice === undefined) {
+      full.gasPrice = await rpc("eth_gasPrice");
+    }
+    const raw = await signTransaction(full, account.key);
+    return rpc("eth_sendRawTransaction", [raw]);
+  }
+
+  return {
+    isDevSigner: true,
+    addresses: accounts.map((a) => a.address),
+    setActive(index) {
+      active = index;
+      emit("accountsChanged", [accounts[active].address]);
+    },
+    on(event, fn) {
+      (listeners[event] ||= []).push(fn);
+    },
+    removeListener(event, fn) {
+      listeners[event] = (listeners[event] || []).filter((f) => f !== fn);
+    },
+    async request({ method, params = [] }) {
+      switch (method) {
+        case "eth_accounts":
+        case "eth_requestAccounts":
+          return [accounts[active].address, ...accounts.filter((_, i) => i !== active).map((a) => a.address)];
+        case "eth_sendTransaction":
+          return sendTransaction(params[0]);
+        case "eth_sign":
+        case "personal_sign":
+        case "eth_signTypedData_v4":
+          throw new Error(`${method} is not supported by the dev signer`);
+        default:
+          return rpc(method, params);
+      }
+    },
+  };
+}
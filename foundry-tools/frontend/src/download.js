@@ -0,0 +1,9 @@
+// Saves text as a file through a temporary object URL
+export function downloadText(fileName, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,100 @@
+import { decodeParams, encodeCall, keccakHex, sameAddress } from "./abi";
+import { BUILTIN_ABIS } from "./contracts";
+import { ethCall, request, toHex } from "./rpc";
+
+// Reads against DVPEscrow and the ERC-20 legs it moves, using the repo's ABIs from contracts.js,
+// and event scans over the escrow's history.
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const LOG_CHUNK = 10000; // blocks per eth_getLogs; halved when a provider rejects the range
+const LOOKBACK = 50000; // blocks scanned when the profile does not know its deployment block
+
+export const INITIATED_TOPIC = keccakHex("EscrowInitiated(bytes32,address,address)");
+export const UNLIMITED = (1n << 256n) - 1n;
+
+export const builtinFn = (contract, name) => BUILTIN_ABIS[contract].find((f) => f.type === "function" && f.name === name);
+
+// View call on a repo contract by function name; returns the first output
+export async function readBuiltin(contract, address, name, args) {
+  const fn = builtinFn(contract, name);
+  return decodeParams(fn.outputs, await ethCall(address, encodeCall(fn, args)))[0];
+}
+
+// Order ids are bytes32; the scripts derive them as keccak256("ORDER1"), so plain text is hashed the same way
+export function orderIdFrom(text) {
+  const t = text.trim();
+  if (/^0x[0-9a-fA-F]{64}$/.test(t)) return t.toLowerCase();
+  if (!t) throw new Error("Enter an order id (bytes32 hex or the label it was hashed from)");
+  return keccakHex(t);
+}
+
+// DVPEscrow.getOrder, or null when no order exists under the id (never created, or cancelled: cancel deletes it)
+export async function readOrder(dvp, id) {
+  const order = await readBuiltin("DVPEscrow", dvp, "getOrder", [id]);
+  return order.seller === ZERO_ADDRESS ? null : order;
+}
+
+export const readAllowance = (token, owner, spender) => readBuiltin("MintableERC20", token, "allowance", [owner, spender]);
+
+export const readBalance = (token, owner) => readBuiltin("MintableERC20", token, "balanceOf", [owner]);
+
+export const readHasRole = (contract, role, account) => readBuiltin("SecToken", contract, "hasRole", [role, account]);
+
+export const addressTopic = (address) => "0x" + address.slice(2).toLowerCase().padStart(64, "0");
+
+// First block to scan: the profile's deployment block, else the last LOOKBACK blocks
+export const scanStart = (startBlock, head) => (Number.isInteger(startBlock) ? startBlock : Math.max(0, head - LOOKBACK));
+
+// Providers that cap the range or result size per eth_getLogs: -32005 "limit exceeded" (Infura also
+// uses it for rate limits, which a smaller range does not help), or a message naming the cap
+const RANGE_LIMIT = /query returned more than|block range|range (is )?too (large|wide)|too many (blocks|results|logs)|response size/i;
+function isRangeError(e) {
+  const message = `${e?.message || ""} ${e?.data?.message || ""}`; // wallets nest the node message in data
+  return RANGE_LIMIT.test(message) || (e?.code === -32005 && !/rate|request count/i.test(message));
+}
+
+// eth_getLogs over [fromBlock, toBlock] in chunks, since providers cap the block range per request.
+// Range errors halve the chunk and retry; anything else (network, auth, rate limit, bad filter) is thrown.
+export async function getLogsChunked(filter, fromBlock, toBlock) {
+  const logs = [];
+  let size = LOG_CHUNK;
+  for (let start = fromBlock; start <= toBlock; ) {
+    const end = Math.min(start + size - 1, toBlock);
+    try {
+      logs.push(...(await request("eth_getLogs", [{ ...filter, fromBlock: toHex(start), toBlock: toHex(end) }])));
+      start = end + 1;
+    } catch (e) {
+      if (size === 1 || !isRangeError(e)) throw e;
+      size = Math.ceil(size / 2);
+    }
+  }
+  return logs;
+}
+
+// Orders where account is seller or buyer that can still take deposits: initiated, not cancelled
+// or settled, deadline ahead. Returns { scanFrom, orders: [{ id, ...order }] }
+export async function findOpenOrders(dvp, account, startBlock) {
+  const head = parseInt(await request("eth_blockNumber"));
+  const scanFrom = scanStart(startBlock, head);
+  const party = addressTopic(account);
+  const [asSeller, asBuyer] = await Promise.all([
+    getLogsChunked({ address: dvp, topics: [INITIATED_TOPIC, null, party] }, scanFrom, head),
+    getLogsChunked({ address: dvp, topics: [INITIATED_TOPIC, null, null, party] }, scanFrom, head),
+  ]);
+  const ids = [...new Set([...asSeller, ...asBuyer].map((l) => l.topics[1]))];
+  const now = Date.now() / 1000;
+  const orders = await Promise.all(ids.map(async (id) => ({ id, order: await readOrder(dvp, id) })));
+  return {
+    scanFrom,
+    orders: orders.filter(({ order }) => order && !order.settled && Number(order.deadline) > now).map(({ id, order }) => ({ id, ...order })),
+  };
+}
+
+// What open orders still need the account to lock in token (the legs it has not deposited yet)
+export function lockedByOrders(orders, account, token) {
+  return orders.reduce((sum, o) => {
+    if (sameAddress(o.seller, account) && sameAddress(o.sec, token) && !o.secLocked) sum += o.secAmt;
+    if (sameAddress(o.buyer, account) && sameAddress(o.cash, token) && !o.cashLocked) sum += o.cashAmt;
+    return sum;
+  }, 0n);
+}
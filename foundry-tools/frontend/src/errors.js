@@ -0,0 +1,87 @@
+import { decodeParams, keccakHex, selector, signature, valueToText } from "./abi";
+
+// Revert data decoding: Error(string), Panic(uint256) and custom errors from the loaded ABIs.
+
+const PANIC_CODES = {
+  0x00: "generic compiler panic",
+  0x01: "assert(false)",
+  0x11: "arithmetic overflow/underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "invalid storage byte array encoding",
+  0x31: "pop() on empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to zero-initialized function",
+};
+
+const errorDef = (name, ...types) => ({ type: "error", name, inputs: types.map(([n, t]) => ({ name: n, type: t })) });
+
+// OpenZeppelin 5 errors our contracts inherit, so they decode even before an ABI is pasted
+const BUILTIN_ERRORS = [
+  errorDef("AccessControlUnauthorizedAccount", ["account", "address"], ["neededRole", "bytes32"]),
+  errorDef("AccessControlBadConfirmation"),
+  errorDef("ERC20InsufficientBalance", ["sender", "address"], ["balance", "uint256"], ["needed", "uint256"]),
+  errorDef("ERC20InvalidSender", ["sender", "address"]),
+  errorDef("ERC20InvalidReceiver", ["receiver", "address"]),
+  errorDef("ERC20InsufficientAllowance", ["spender", "address"], ["allowance", "uint256"], ["needed", "uint256"]),
+  errorDef("ERC20InvalidApprover", ["approver", "address"]),
+  errorDef("ERC20InvalidSpender", ["spender", "address"]),
+  errorDef("SafeERC20FailedOperation", ["token", "address"]),
+  errorDef("ReentrancyGuardReentrantCall"),
+  errorDef("EnforcedPause"),
+  errorDef("ExpectedPause"),
+];
+
+// bytes32 role ids used across SecToken / ComplianceRegistry / MintableERC20
+const ROLE_NAMES = Object.fromEntries(
+  ["MINTER_ROLE", "BURNER_ROLE", "KYC_ADMIN_ROLE"].map((r) => [keccakHex(r), r]).concat([["0x" + "0".repeat(64), "DEFAULT_ADMIN_ROLE"]])
+);
+
+const isHexData = (v) => typeof v === "string" && /^0x([0-9a-fA-F]{2})*$/.test(v);
+
+// Wallets nest the revert payload differently (MetaMask: data / data.data / data.originalError.data,
+// ethers-style: info.error.data, JSON-RPC: error.data); walk the error object to find it.
+export function extractRevertData(err, depth = 0) {
+  if (!err || typeof err !== "object" || depth > 5) return null;
+  if (isHexData(err.data) && err.data.length >= 10) return err.data;
+  for (const key of ["data", "error", "originalError", "cause", "info"]) {
+    const found = extractRevertData(err[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Returns a readable description for revert data, or null when it is empty
+export function decodeRevert(data, abiItems = []) {
+  if (!isHexData(data) || data.length < 10) return null;
+  const sel = data.slice(0, 10).toLowerCase();
+  const body = "0x" + data.slice(10);
+  try {
+    if (sel === "0x08c379a0") return decodeParams([{ type: "string" }], body)[0];
+    if (sel === "0x4e487b71") {
+      const code = Number(decodeParams([{ type: "uint256" }], body)[0]);
+      return `Panic 0x${code.toString(16).padStart(2, "0")} (${PANIC_CODES[code] || "unknown panic code"})`;
+    }
+    const errorDefs = [...abiItems.filter((x) => x.type === "error"), ...BUILTIN_ERRORS];
+    const def = errorDefs.find((x) => selector(signature(x)) === sel);
+    if (def) {
+      const values = decodeParams(def.inputs, body);
+      const args = def.inputs.map((input, i) => {
+        const v = input.type === "bytes32" && ROLE_NAMES[values[i]] ? ROLE_NAMES[values[i]] : valueToText(values[i]);
+        return input.name ? `${input.name}=${v}` : v;
+      });
+      return `${def.name}(${args.join(", ")})`;
+    }
+  } catch {
+    // fall through to the raw selector
+  }
+  return `unknown custom error ${sel} (data ${data})`;
+}
+
+// Human-readable message for a failed call/transaction: decoded revert reason when available
+export function describeError(err, abiItems = []) {
+  const reason = decodeRevert(extractRevertData(err), abiItems);
+  if (reason) return `Reverted: ${reason}`;
+  return err?.shortMessage || err?.data?.message || err?.message || String(err);
+}
@@ -0,0 +1,44 @@
+import { request, toHex } from "./rpc";
+
+// EIP-1559 fee suggestions from eth_feeHistory, and the bump rule for replacing a stuck transaction
+// (same nonce, higher fees: nodes only accept a replacement that raises both fees by at least 10%).
+
+const MIN_TIP = 1_000_000n; // 0.001 gwei: OP Sepolia tips are tiny, anvil reports none
+const BLOCKS = 10;
+export const FEE_LEVELS = ["slow", "normal", "fast"];
+
+function median(list) {
+  const sorted = [...list].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0n;
+}
+
+// { baseFee, slow|normal|fast: { maxFeePerGas, maxPriorityFeePerGas } } as BigInt wei. The max fee leaves
+// room for the base fee to double before inclusion.
+export async function suggestFees() {
+  const history = await request("eth_feeHistory", [toHex(BLOCKS), "latest", [10, 50, 90]]);
+  const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+  const rewards = (history.reward || []).filter((r) => r?.length === 3);
+  const out = { baseFee };
+  FEE_LEVELS.forEach((level, i) => {
+    const tip = rewards.length ? median(rewards.map((r) => BigInt(r[i]))) : 0n;
+    const maxPriorityFeePerGas = tip > MIN_TIP ? tip : MIN_TIP;
+    out[level] = { maxPriorityFeePerGas, maxFeePerGas: baseFee * 2n + maxPriorityFeePerGas };
+  });
+  return out;
+}
+
+// +12.5% (comfortably over the 10% minimum), or the current suggestion when that is higher
+const bump = (old, suggested = 0n) => {
+  const raised = (BigInt(old || 0) * 1125n) / 1000n + 1n;
+  return raised > suggested ? raised : suggested;
+};
+
+// Fee fields for a replacement of tx (an eth_getTransactionByHash result or the fields kept in the
+// activity log), as hex ready for eth_sendTransaction
+export function bumpedFees(tx, suggestion) {
+  if (tx.maxFeePerGas === undefined && tx.gasPrice !== undefined) return { gasPrice: toHex(bump(tx.gasPrice, suggestion?.maxFeePerGas)) };
+  return {
+    maxPriorityFeePerGas: toHex(bump(tx.maxPriorityFeePerGas, suggestion?.maxPriorityFeePerGas)),
+    maxFeePerGas: toHex(bump(tx.maxFeePerGas, suggestion?.maxFeePerGas)),
+  };
+}
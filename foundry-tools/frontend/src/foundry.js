@@ -0,0 +1,38 @@
+import { useEffect, useState } from "react";
+import initial from "virtual:foundry";
+
+// Foundry build output served by vite-plugin-foundry.js; re-rendered whenever `forge build` reruns
+// under `npm run dev`. A static build carries the artifacts present when it was built.
+export function useFoundry() {
+  const [data, setData] = useState(initial);
+  useEffect(() => {
+    if (!import.meta.hot) return;
+    import.meta.hot.on("foundry:update", setData);
+    return () => import.meta.hot.off("foundry:update", setData);
+  }, []);
+  return data;
+}
+
+const abiJson = (artifact) => JSON.stringify(artifact.abi, null, 2);
+
+// ABI text for a setup card: follows the chosen artifact (refreshing on rebuilds) until the user
+// edits the JSON by hand; the last loaded text stays as fallback if the artifact disappears.
+export function useAbiSource(artifacts, initialText, initialArtifact) {
+  const [pasted, setPasted] = useState(initialText);
+  const [artifact, setArtifact] = useState(initialArtifact);
+  const text = artifacts[artifact] ? abiJson(artifacts[artifact]) : pasted;
+
+  const setText = (value) => {
+    setPasted(value);
+    setArtifact("");
+  };
+  const pick = (name) => {
+    setPasted(artifacts[name] ? abiJson(artifacts[name]) : text);
+    setArtifact(name);
+  };
+  const reset = (value, name) => {
+    setPasted(value);
+    setArtifact(name);
+  };
+  return { text, artifact, setText, pick, reset };
+}
@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { toHex, walletRequest } from "./rpc";
+
+// Named network profiles: chain, read RPC, blocks until a tx counts as confirmed, the block event scans
+// start from (the deployment block, when known), and the deployed
+// addresses of the PoC contracts (same names as listener/listener.env: COMPLIANCE / SECT / WCASH / WCBDC / DVP).
+
+export const CONTRACT_KEYS = ["ComplianceRegistry", "SecToken", "wCash", "wCBDC", "DVPEscrow"];
+
+export const emptyAddresses = () => Object.fromEntries(CONTRACT_KEYS.map((k) => [k, ""]));
+
+export const DEFAULT_CONFIRMATIONS = 2;
+
+export const DEFAULT_NETWORKS = [
+  {
+    id: "anvil",
+    name: "Anvil",
+    chainId: 31337,
+    rpcUrl: "http://127.0.0.1:8545",
+    explorerUrl: "",
+    confirmations: 1, // anvil only mines on demand
+    startBlock: 0,
+    addresses: emptyAddresses(),
+  },
+  {
+    id: "op-sepolia",
+    name: "OP Sepolia",
+    chainId: 11155420,
+    rpcUrl: import.meta.env.VITE_OP_SEPOLIA_HTTP || "https://sepolia.optimism.io",
+    explorerUrl: "https://sepolia-optimism.etherscan.io",
+    confirmations: 3,
+    startBlock: null,
+    addresses: emptyAddresses(),
+  },
+];
+
+// initial: { networks, networkId } from the active workspace (see workspaces.js), which persists them
+export function useNetworks(initial) {
+  const [networks, setNetworks] = useState(initial.networks);
+  const [activeId, setActiveId] = useState(initial.networkId);
+  const network = networks.find((n) => n.id === activeId) || networks[0];
+
+  const resetNetworks = (next) => {
+    setNetworks(next.networks);
+    setActiveId(next.networkId);
+  };
+
+  // patch may include addresses: { SecToken: "0x…" }, merged into the active profile
+  const updateNetwork = (patch) =>
+    setNetworks((prev) =>
+      prev.map((n) => (n.id === network.id ? { ...n, ...patch, addresses: { ...n.addresses, ...(patch.addresses || {}) } } : n))
+    );
+
+  const addNetwork = ({ name, chainId, rpcUrl }) => {
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, "-") || `chain-${chainId}`;
+    if (networks.some((n) => n.id === id)) throw new Error(`A profile named ${name} already exists`);
+    setNetworks((prev) => [...prev, { id, name, chainId: Number(chainId), rpcUrl, explorerUrl: "", confirmations: DEFAULT_CONFIRMATIONS, startBlock: null, addresses: emptyAddresses() }]);
+    setActiveId(id);
+  };
+
+  return { networks, network, setActiveId, updateNetwork, addNetwork, resetNetworks };
+}
+
+// Asks the wallet to move to the profile's chain, registering it first when the wallet does not know it
+export async function switchWalletChain(network) {
+  const chainId = toHex(network.chainId);
+  try {
+    await walletRequest("wallet_switchEthereumChain", [{ chainId }]);
+  } catch (e) {
+    // 4902: unrecognised chain (some wallets nest it in data.originalError)
+    if (e?.code !== 4902 && e?.data?.originalError?.code !== 4902) throw e;
+    await walletRequest("wallet_addEthereumChain", [
+      {
+        chainId,
+        chainName: network.name,
+        rpcUrls: [network.rpcUrl],
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined,
+      },
+    ]);
+  }
+}
@@ -0,0 +1,60 @@
+import { bytesToHex, isAddress, sameAddress } from "./abi";
+import { readBuiltin, readOrder } from "./dvp";
+import { request } from "./rpc";
+import { fmtDeadline } from "./units";
+
+// The DVP order ticket: quantity x price -> cashAmt, and the checks DVPEscrow.initiate makes, run
+// before the transaction is built so a ticket that would revert never reaches the wallet.
+
+const MAX_UINT64 = (1n << 64n) - 1n;
+
+export const randomOrderId = () => bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+
+// cashAmt for qty security base units at price cash base units per whole security. Throws rather
+// than round when the product has more precision than the cash token.
+export function cashAmount(qty, price, secDecimals) {
+  const scale = 10n ** BigInt(secDecimals);
+  if ((qty * price) % scale) throw new Error("Quantity × price has more decimal places than the cash token supports");
+  return (qty * price) / scale;
+}
+
+// datetime-local input text <-> unix seconds, in local time
+export const toUnixSeconds = (local) => Math.floor(new Date(local).getTime() / 1000);
+
+export function toLocalInput(seconds) {
+  const d = new Date(seconds * 1000);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
+
+// ticket: { id, seller, buyer, sec, secAmt, cash, cashAmt, deadline } as initiate takes them.
+// errors: what initiate would revert on ("DVP:…" reasons); warnings: what would fail later legs.
+export async function checkTicket(ticket, dvp) {
+  const { id, seller, buyer, sec, secAmt, cash, cashAmt, deadline } = ticket;
+  const errors = [];
+  const warnings = [];
+  if (!isAddress(dvp)) errors.push("Set the DVPEscrow address in the network profile");
+  if (!isAddress(seller) || !isAddress(buyer)) errors.push("DVP:bad parties: pick a seller and a buyer");
+  if (!isAddress(sec) || !isAddress(cash)) errors.push("DVP:zero token: the profile needs the SECT and cash rail addresses");
+  if (!(secAmt > 0n) || !(cashAmt > 0n)) errors.push("DVP:zero amount: quantity and price must both be above zero");
+  if (BigInt(deadline) > MAX_UINT64) errors.push("Deadline does not fit uint64");
+  if (errors.length) return { errors, warnings };
+
+  const [existing, block] = await Promise.all([readOrder(dvp, id), request("eth_getBlockByNumber", ["latest", false])]);
+  if (existing) errors.push(`DVP:order exists: ${id} is already taken; generate a new id`);
+  const now = parseInt(block.timestamp);
+  if (deadline <= now) errors.push(`DVP:deadline past: the deadline must be after the latest block time (${fmtDeadline(now)})`);
+
+  if (sameAddress(seller, buyer)) warnings.push("Seller and buyer are the same account");
+  // SECT moves seller -> escrow -> buyer, and SecToken asks its ComplianceRegistry about every hop
+  try {
+    const registry = await readBuiltin("SecToken", sec, "compliance", []);
+    const parties = [["seller", seller], ["buyer", buyer], ["DVPEscrow", dvp]];
+    const kyc = await Promise.all(parties.map(([, a]) => readBuiltin("ComplianceRegistry", registry, "isKYCd", [a])));
+    const missing = parties.filter((_, i) => !kyc[i]).map(([name]) => name);
+    if (missing.length) warnings.push(`Not KYC'd in ComplianceRegistry: ${missing.join(", ")}. The SECT deposit or settlement will revert until they are.`);
+  } catch {
+    warnings.push("Could not read KYC status from the security token's ComplianceRegistry");
+  }
+  return { errors, warnings };
+}
@@ -0,0 +1,232 @@
+import { useEffect, useState } from "react";
+import { decodeLog, isAddress, sameAddress } from "./abi";
+import { BUILTIN_ABIS } from "./contracts";
+import { getLogsChunked, readOrder, scanStart } from "./dvp";
+import { request } from "./rpc";
+import { fmtUnits } from "./units";
+
+// DVP order lifecycle. getOrder gives the live state; cancel deletes the order, so Cancelled (and
+// when anything happened) comes from the escrow's events instead. Every DVPEscrow event has the
+// order id as its first indexed topic, so one eth_getLogs per order returns its whole history.
+// The blotter scans all of the escrow's events instead, since _orders cannot be enumerated.
+
+export const OPEN_STATUSES = ["Initiated", "Security locked", "Cash locked", "Ready to settle"];
+export const ORDER_STATUSES = [...OPEN_STATUSES, "Settled", "Expired", "Cancelled"];
+
+const ENRICH_BATCH = 20; // getOrder calls in flight at once
+
+// Badge colours per status, shared by the detail view and the blotter
+export const STATUS_STYLES = {
+  Initiated: "bg-gray-100 text-gray-700",
+  "Security locked": "bg-blue-100 text-blue-800",
+  "Cash locked": "bg-blue-100 text-blue-800",
+  "Ready to settle": "bg-amber-100 text-amber-800",
+  Settled: "bg-emerald-100 text-emerald-800",
+  Expired: "bg-red-100 text-red-800",
+  Cancelled: "bg-gray-200 text-gray-600",
+  "Not found": "bg-gray-100 text-gray-500",
+};
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Wall-clock unix seconds, re-rendering every second so countdowns and Expired stay current
+export function useNow() {
+  const [now, setNow] = useState(nowSeconds);
+  useEffect(() => {
+    const timer = setInterval(() => setNow(nowSeconds()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+}
+
+// nowSeconds: wall-clock unix time; the escrow compares the deadline against block time
+export function orderStatus(order, events, nowSeconds) {
+  if (!order) return events.some((e) => e.name === "Cancelled") ? "Cancelled" : "Not found";
+  if (order.settled) return "Settled";
+  if (nowSeconds > Number(order.deadline)) return "Expired";
+  if (order.secLocked && order.cashLocked) return "Ready to settle";
+  if (order.secLocked) return "Security locked";
+  if (order.cashLocked) return "Cash locked";
+  return "Initiated";
+}
+
+// "2h 05m 10s left" / "expired 3m 02s ago"
+export function countdown(deadline, now) {
+  const left = Number(deadline) - now;
+  const s = Math.abs(left);
+  const parts = [Math.floor(s / 86400) && `${Math.floor(s / 86400)}d`, `${Math.floor((s % 86400) / 3600)}h`, `${String(Math.floor((s % 3600) / 60)).padStart(2, "0")}m`, `${String(s % 60).padStart(2, "0")}s`];
+  const text = parts.filter(Boolean).join(" ");
+  return left >= 0 ? `${text} left` : `expired ${text} ago`;
+}
+
+// Raw DVPEscrow logs -> [{ id, name, values, blockNumber, txHash, logIndex }], oldest first
+export function decodeOrderEvents(logs) {
+  return logs
+    .map((log) => {
+      const decoded = decodeLog(BUILTIN_ABIS.DVPEscrow, log);
+      return decoded && { id: log.topics[1], name: decoded.event.name, values: decoded.values, blockNumber: parseInt(log.blockNumber), txHash: log.transactionHash, logIndex: parseInt(log.logIndex) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+// What the account can do with the order right now: { [action]: "" when allowed, else why not }.
+// Deposits stay closed after the deadline: the escrow would take them, but only cancel can follow.
+export function orderActions(order, status, account) {
+  const open = status !== "Settled" && status !== "Expired";
+  if (!order) {
+    const gone = `order is ${status.toLowerCase()}`;
+    return { depositSecurity: gone, depositCash: gone, settle: gone, cancel: gone };
+  }
+  return {
+    depositSecurity: !sameAddress(order.seller, account) ? "only the seller deposits securities" : order.secLocked ? "securities already locked" : !open ? `order is ${status.toLowerCase()}` : "",
+    depositCash: !sameAddress(order.buyer, account) ? "only the buyer deposits cash" : order.cashLocked ? "cash already locked" : !open ? `order is ${status.toLowerCase()}` : "",
+    settle: status === "Ready to settle" ? "" : status === "Settled" ? "already settled" : status === "Expired" ? "deadline passed" : "needs both legs locked",
+    cancel: status === "Expired" ? "" : status === "Settled" ? "already settled" : "only after the deadline",
+  };
+}
+
+// { status: "idle" | "loading" | "ready" | "error", order, events, error } for one order id
+export function useOrder(dvp, id, startBlock, refreshKey) {
+  const [state, setState] = useState({ status: "idle", events: [] });
+
+  useEffect(() => {
+    if (!id || !isAddress(dvp)) return setState({ status: "idle", events: [] });
+    let cancelled = false;
+    setState((prev) => ({ ...prev, status: "loading" }));
+    (async () => {
+      const head = parseInt(await request("eth_blockNumber"));
+      const [order, logs] = await Promise.all([readOrder(dvp, id), getLogsChunked({ address: dvp, topics: [null, id] }, scanStart(startBlock, head), head)]);
+      return { order, events: decodeOrderEvents(logs) };
+    })()
+      .then((result) => !cancelled && setState({ status: "ready", ...result }))
+      .catch((e) => !cancelled && setState({ status: "error", events: [], error: e.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [dvp, id, startBlock, refreshKey]);
+
+  return state;
+}
+
+// Every order with events since the scan start: EscrowInitiated names the parties, getOrder adds the
+// live state (null once cancelled). Returns { scanFrom, head, rows: [{ id, order, events, seller, buyer, initiatedBlock, lastBlock }] }
+export async function loadBlotter(dvp, startBlock) {
+  const head = parseInt(await request("eth_blockNumber"));
+  const scanFrom = scanStart(startBlock, head);
+  const byId = new Map();
+  for (const e of decodeOrderEvents(await getLogsChunked({ address: dvp }, scanFrom, head))) {
+    if (!byId.has(e.id)) byId.set(e.id, []);
+    byId.get(e.id).push(e);
+  }
+  const ids = [...byId.keys()];
+  const orders = [];
+  for (let i = 0; i < ids.length; i += ENRICH_BATCH) orders.push(...(await Promise.all(ids.slice(i, i + ENRICH_BATCH).map((id) => readOrder(dvp, id)))));
+  const rows = ids.map((id, i) => {
+    const events = byId.get(id);
+    const initiated = events.findLast((e) => e.name === "EscrowInitiated");
+    const order = orders[i];
+    return {
+      id,
+      order,
+      events,
+      seller: order?.seller || initiated?.values[1] || "",
+      buyer: order?.buyer || initiated?.values[2] || "",
+      initiatedBlock: initiated?.blockNumber ?? null,
+      lastBlock: events[events.length - 1].blockNumber,
+    };
+  });
+  return { scanFrom, head, rows };
+}
+
+// { status: "idle" | "loading" | "ready" | "error", rows, scanFrom, head, error, refresh }
+export function useBlotter(dvp, startBlock, refreshKey) {
+  const [state, setState] = useState({ status: "idle", rows: [] });
+  const [nonce, setNonce] = useState(0);
+
+  useEffect(() => {
+    if (!isAddress(dvp)) return setState({ status: "idle", rows: [] });
+    let cancelled = false;
+    setState((prev) => ({ ...prev, status: "loading" }));
+    loadBlotter(dvp, startBlock)
+      .then((result) => !cancelled && setState({ status: "ready", ...result }))
+      .catch((e) => !cancelled && setState({ status: "error", rows: [], error: e.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [dvp, startBlock, refreshKey, nonce]);
+
+  return { ...state, refresh: () => setNonce((n) => n + 1) };
+}
+
+const WINDOWS = { "1h": 3600, "24h": 86400, "7d": 7 * 86400 };
+
+// rows carry .status (orderStatus at nowSeconds). filters: { party, token, status: "" | "open" | a status,
+// window: "" | "1h" | "24h" | "7d" (deadline within) | "passed" }
+export function filterRows(rows, filters, nowSeconds) {
+  return rows.filter((r) => {
+    if (filters.party && !sameAddress(r.seller, filters.party) && !sameAddress(r.buyer, filters.party)) return false;
+    if (filters.token && !sameAddress(r.order?.sec, filters.token) && !sameAddress(r.order?.cash, filters.token)) return false;
+    if (filters.status === "open" ? !OPEN_STATUSES.includes(r.status) : filters.status && r.status !== filters.status) return false;
+    if (filters.window) {
+      if (!r.order) return false;
+      const left = Number(r.order.deadline) - nowSeconds;
+      if (filters.window === "passed" ? left >= 0 : left < 0 || left > WINDOWS[filters.window]) return false;
+    }
+    return true;
+  });
+}
+
+const SORT_VALUES = {
+  deadline: (r) => (r.order ? Number(r.order.deadline) : null),
+  status: (r) => ORDER_STATUSES.indexOf(r.status),
+  secAmt: (r) => r.order?.secAmt ?? null,
+  cashAmt: (r) => r.order?.cashAmt ?? null,
+  initiated: (r) => r.initiatedBlock,
+};
+
+// Orders without the sorted value (cancelled: amounts and deadline are gone) always sort last
+export function sortRows(rows, key, dir) {
+  const value = SORT_VALUES[key];
+  const sign = dir === "desc" ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x === null || y === null) return (x === null) - (y === null);
+    return x < y ? -sign : x > y ? sign : 0;
+  });
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// tokens: { [address lowercased]: { decimals, symbol } }; amounts are written in token units
+export function blotterCsv(rows, tokens, labelFor) {
+  const amount = (value, token) => (value === undefined ? "" : fmtUnits(value, tokens[token.toLowerCase()]?.decimals ?? 18));
+  const symbol = (token) => (token ? tokens[token.toLowerCase()]?.symbol || token : "");
+  const header = ["id", "status", "seller", "seller_label", "buyer", "buyer_label", "security", "sec_amount", "cash_token", "cash_amount", "deadline_unix", "deadline_utc", "sec_locked", "cash_locked", "initiated_block", "last_event_block"];
+  const lines = rows.map((r) => {
+    const o = r.order;
+    return [
+      r.id,
+      r.status,
+      r.seller,
+      labelFor(r.seller),
+      r.buyer,
+      labelFor(r.buyer),
+      o && symbol(o.sec),
+      o && amount(o.secAmt, o.sec),
+      o && symbol(o.cash),
+      o && amount(o.cashAmt, o.cash),
+      o && o.deadline.toString(),
+      o && new Date(Number(o.deadline) * 1000).toISOString(),
+      o && o.secLocked,
+      o && o.cashLocked,
+      r.initiatedBlock,
+      r.lastBlock,
+    ].map(csvCell);
+  });
+  return [header, ...lines].map((cells) => cells.join(",")).join("\n") + "\n";
+}
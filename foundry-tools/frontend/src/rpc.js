@@ -0,0 +1,81 @@
+// Minimal EIP-1193 transport. Wallet requests go to the wallet selected through EIP-6963 discovery
+// (see wallet.js), which falls back to the legacy window.ethereum global when nothing announces.
+// When a JSON-RPC endpoint is configured (anvil, OP_SEPOLIA_HTTP, ...) every read goes over HTTP
+// instead, so the UI works without any wallet; signing methods still need the wallet.
+
+let selectedProvider = null;
+let rpcUrl = "";
+let rpcId = 0;
+let expectedChainId = null; // chain of the active network profile; writes elsewhere are refused
+
+// Methods only a wallet can answer: account access, signing and chain management
+const WALLET_METHODS = new Set(["eth_requestAccounts", "eth_accounts", "eth_sendTransaction", "eth_sign", "personal_sign", "eth_signTypedData_v4"]);
+const isWalletMethod = (method) => WALLET_METHODS.has(method) || method.startsWith("wallet_");
+
+export function setProvider(provider) {
+  selectedProvider = provider;
+}
+
+export function getProvider() {
+  if (!selectedProvider) throw new Error("No wallet selected. Install MetaMask or a compatible wallet, then pick it in the header.");
+  return selectedProvider;
+}
+
+export function setRpcUrl(url) {
+  rpcUrl = (url || "").trim();
+}
+
+export function getRpcUrl() {
+  return rpcUrl;
+}
+
+export function setExpectedChainId(chainId) {
+  expectedChainId = chainId ? Number(chainId) : null;
+}
+
+export function toHex(value) {
+  return "0x" + BigInt(value).toString(16);
+}
+
+export async function walletRequest(method, params = []) {
+  return await getProvider().request({ method, params });
+}
+
+// Plain JSON-RPC 2.0 over HTTP. Errors keep code/data so revert data decodes like wallet errors.
+export async function httpRequest(method, params = [], url = rpcUrl) {
+  if (!url) throw new Error("No JSON-RPC endpoint configured");
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: ++rpcId, method, params }),
+  });
+  if (!res.ok) throw new Error(`RPC ${url} responded ${res.status} ${res.statusText}`);
+  const body = await res.json();
+  if (body.error) throw Object.assign(new Error(body.error.message || "JSON-RPC error"), { code: body.error.code, data: body.error.data });
+  return body.result;
+}
+
+export async function request(method, params = []) {
+  if (method === "eth_sendTransaction" && expectedChainId) {
+    const walletChain = parseInt(await walletRequest("eth_chainId"));
+    if (walletChain !== expectedChainId) {
+      throw new Error(`Wallet is on chain ${walletChain} but the active network profile expects ${expectedChainId}; switch networks before sending`);
+    }
+  }
+  if (rpcUrl && !isWalletMethod(method)) return await httpRequest(method, params);
+  if (!selectedProvider && !isWalletMethod(method)) {
+    throw new Error("No wallet selected and no JSON-RPC endpoint configured. Connect a wallet or set an RPC URL for read-only mode.");
+  }
+  return await walletRequest(method, params);
+}
+
+export async function ethCall(to, data, from) {
+  const res = await request("eth_call", [{ to, data, from }, "latest"]);
+  return res;
+}
+
+// extra: further transaction fields (from, gas, fees, nonce)
+export async function ethSend(to, data, value = "0x0", extra = {}) {
+  const txHash = await request("eth_sendTransaction", [{ ...extra, to, data, value }]);
+  return txHash;
+}
@@ -0,0 +1,160 @@
+import { keccak_256 } from "js-sha3";
+import { bytesToHex, hexToBytes, toChecksumAddress } from "./abi";
+
+// Minimal secp256k1 (ECDSA with RFC 6979 nonces) and BIP-32/BIP-39 key derivation on BigInt + Web Crypto.
+// Written for the dev signer only: it is not constant-time and must never hold real funds' keys.
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+};
+
+const mod = (a, m = P) => ((a % m) + m) % m;
+
+function invert(a, m = P) {
+  let [lo, hi, x0, x1] = [mod(a, m), m, 1n, 0n];
+  while (lo > 1n) {
+    const q = hi / lo;
+    [lo, hi] = [hi - q * lo, lo];
+    [x0, x1] = [x1 - q * x0, x0];
+  }
+  return mod(x0, m);
+}
+
+// Affine point arithmetic; null is the point at infinity
+function add(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.x === b.x) {
+    if (mod(a.y + b.y) === 0n) return null;
+    const l = mod(3n * a.x * a.x * invert(2n * a.y));
+    const x = mod(l * l - 2n * a.x);
+    return { x, y: mod(l * (a.x - x) - a.y) };
+  }
+  const l = mod((b.y - a.y) * invert(b.x - a.x));
+  const x = mod(l * l - a.x - b.x);
+  return { x, y: mod(l * (a.x - x) - a.y) };
+}
+
+function multiply(point, k) {
+  let result = null;
+  let addend = point;
+  for (let n = k; n > 0n; n >>= 1n) {
+    if (n & 1n) result = add(result, addend);
+    addend = add(addend, addend);
+  }
+  return result;
+}
+
+const toBig = (bytes) => BigInt(bytesToHex(bytes));
+const to32 = (n) => hexToBytes(n.toString(16).padStart(64, "0"));
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let i = 0;
+  for (const p of parts) {
+    out.set(p, i);
+    i += p.length;
+  }
+  return out;
+}
+
+function checkPrivateKey(key) {
+  const d = toBig(key);
+  if (key.length !== 32 || d === 0n || d >= N) throw new Error("Invalid secp256k1 private key");
+  return d;
+}
+
+export function publicKey(privateKey, compressed = false) {
+  const pt = multiply(G, checkPrivateKey(privateKey));
+  if (compressed) return concat(new Uint8Array([pt.y & 1n ? 3 : 2]), to32(pt.x));
+  return concat(new Uint8Array([4]), to32(pt.x), to32(pt.y));
+}
+
+export function privateKeyToAddress(privateKey) {
+  const hash = keccak_256(publicKey(privateKey).slice(1));
+  return toChecksumAddress(hash.slice(-40));
+}
+
+async function hmac(hash, key, ...data) {
+  const k = await crypto.subtle.importKey("raw", key, { name: "HMAC", hash }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", k, concat(...data)));
+}
+
+// RFC 6979 deterministic nonce (HMAC-SHA256), yielding candidates until one is in range
+async function* rfc6979(d, hash) {
+  const x = to32(d);
+  const h1 = to32(mod(toBig(hash), N));
+  let v = new Uint8Array(32).fill(1);
+  let k = new Uint8Array(32);
+  k = await hmac("SHA-256", k, v, [0], x, h1);
+  v = await hmac("SHA-256", k, v);
+  k = await hmac("SHA-256", k, v, [1], x, h1);
+  v = await hmac("SHA-256", k, v);
+  for (;;) {
+    v = await hmac("SHA-256", k, v);
+    yield toBig(v);
+    k = await hmac("SHA-256", k, v, [0]);
+    v = await hmac("SHA-256", k, v);
+  }
+}
+
+// Signs a 32-byte digest. Returns { r, s, recovery } with low-s normalisation (EIP-2).
+export async function sign(digest, privateKey) {
+  const d = checkPrivateKey(privateKey);
+  const z = toBig(digest);
+  for await (const k of rfc6979(d, digest)) {
+    if (k <= 0n || k >= N) continue;
+    const R = multiply(G, k);
+    const r = mod(R.x, N);
+    if (r === 0n) continue;
+    let s = mod(invert(k, N) * (z + r * d), N);
+    if (s === 0n) continue;
+    let recovery = Number(R.y & 1n) | (R.x >= N ? 2 : 0);
+    if (s > N / 2n) {
+      s = N - s;
+      recovery ^= 1;
+    }
+    return { r, s, recovery };
+  }
+}
+
+// ---- BIP-39 / BIP-32 ----
+
+export const ANVIL_MNEMONIC = "test test test test test test test test test test test junk";
+
+async function mnemonicToSeed(mnemonic, password = "") {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(mnemonic.normalize("NFKD")), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt: enc.encode(("mnemonic" + password).normalize("NFKD")), iterations: 2048, hash: "SHA-512" },
+    key,
+    512
+  );
+  return new Uint8Array(bits);
+}
+
+async function deriveChild({ key, chainCode }, index) {
+  const hardened = index >= 0x80000000;
+  const data = hardened ? concat([0], key) : publicKey(key, true);
+  const i = hexToBytes(index.toString(16).padStart(8, "0"));
+  const I = await hmac("SHA-512", chainCode, data, i);
+  const child = mod(toBig(I.slice(0, 32)) + toBig(key), N);
+  if (toBig(I.slice(0, 32)) >= N || child === 0n) throw new Error("Invalid BIP-32 child; try the next index");
+  return { key: to32(child), chainCode: I.slice(32) };
+}
+
+// Private keys for m/44'/60'/0'/0/{0..count-1}, the path anvil and MetaMask use
+export async function mnemonicToPrivateKeys(mnemonic, count = 10) {
+  const words = mnemonic.trim().split(/\s+/);
+  if (![12, 15, 18, 21, 24].includes(words.length)) throw new Error("Mnemonic must have 12-24 words");
+  const seed = await mnemonicToSeed(words.join(" "));
+  const I = await hmac("SHA-512", new TextEncoder().encode("Bitcoin seed"), seed);
+  let node = { key: I.slice(0, 32), chainCode: I.slice(32) };
+  for (const index of [44 + 0x80000000, 60 + 0x80000000, 0x80000000, 0]) node = await deriveChild(node, index);
+  const keys = [];
+  for (let i = 0; i < count; i++) keys.push(bytesToHex((await deriveChild(node, i)).key));
+  return keys;
+}
@@ -0,0 +1,28 @@
+import { describeError, extractRevertData } from "./errors";
+import { request } from "./rpc";
+
+// Pre-flight for every write: eth_call and eth_estimateGas with the exact from/to/data/value that
+// will be sent, so a revert ("DVP:deadline past", "KYC/transfer restricted", …) shows up before gas is spent.
+
+// Only errors that say the call itself reverted count as a failed pre-flight: revert data, the
+// JSON-RPC "execution reverted" code 3, or a node message saying so. Transport failures, HTTP errors,
+// a locked or rejecting wallet and the like mean the transaction could not be simulated at all.
+function isRevert(e) {
+  return !!extractRevertData(e) || e?.code === 3 || /revert/i.test(e?.shortMessage || e?.data?.message || e?.message || "");
+}
+
+// Returns { ok: true, gas }, { ok: false, error } when it reverts (decoded reason when there is one),
+// or { ok: null, error } when the simulation itself failed
+export async function simulateTx(tx, abiItems) {
+  const call = { from: tx.from, to: tx.to, data: tx.data, value: tx.value };
+  try {
+    await request("eth_call", [call, "latest"]);
+    const gas = BigInt(await request("eth_estimateGas", [call]));
+    return { ok: true, gas };
+  } catch (e) {
+    return { ok: isRevert(e) ? false : null, error: describeError(e, abiItems) };
+  }
+}
+
+// Headroom over the estimate, since state can move between simulation and inclusion
+export const withGasMargin = (gas) => (gas * 12n) / 10n;
@@ -0,0 +1,21 @@
+import { decodeParams, selector } from "./abi";
+import { ethCall, getRpcUrl } from "./rpc";
+
+// ERC-20 metadata for amount formatting. Cached per endpoint and address, since decimals and symbol
+// never change after deployment; { decimals: null } when the address does not answer as a token.
+const cache = new Map();
+
+export async function fetchTokenInfo(address) {
+  const key = `${getRpcUrl()}|${address.toLowerCase()}`;
+  if (!cache.has(key)) {
+    const read = async (sig, type) => decodeParams([{ type }], await ethCall(address, selector(sig)))[0];
+    const info = Promise.all([read("decimals()", "uint8"), read("symbol()", "string").catch(() => "")])
+      .then(([decimals, symbol]) => ({ decimals: Number(decimals), symbol }))
+      .catch(() => {
+        cache.delete(key); // may be a transient RPC failure; ask again next time
+        return { decimals: null, symbol: "" };
+      });
+    cache.set(key, info);
+  }
+  return cache.get(key);
+}
@@ -0,0 +1,61 @@
+import { decodeCalldata, findFunctionsBySelector, signature, valueToText } from "./abi";
+import { fetchTokenInfo } from "./tokens";
+import { fmtDeadline, fmtUnits, isAmountParam, isDeadlineParam } from "./units";
+
+// Plain-language description of a transaction for the confirmation dialog: which contract, which
+// function, and every argument rendered for humans (party labels, token amounts in the token's own
+// decimals, deadlines as local dates).
+
+// The token an amount argument is denominated in: DVPEscrow pairs secAmt/cashAmt with its sec/cash
+// address arguments; otherwise the amount belongs to the contract being called (ERC-20 style)
+function amountToken(fn, values, index, to) {
+  const base = (fn.inputs[index].name || "").replace(/(Amt|Amount)$/i, "");
+  const i = fn.inputs.findIndex((p, j) => j !== index && p.type === "address" && p.name && p.name === base);
+  return i >= 0 ? values[i] : to;
+}
+
+function relative(seconds) {
+  const diff = Number(seconds) - Date.now() / 1000;
+  const abs = Math.abs(diff);
+  const text = abs < 3600 ? `${Math.round(abs / 60)} min` : abs < 172800 ? `${(abs / 3600).toFixed(1)} h` : `${Math.round(abs / 86400)} days`;
+  return diff >= 0 ? `in ${text}` : `${text} ago (already past)`;
+}
+
+// tx: { to, data, value, from }; sources: the page's abiSources; labelFor: address -> contract/party name
+export async function describeTx(tx, sources, labelFor) {
+  const contract = labelFor(tx.to);
+  const matches = findFunctionsBySelector(sources, tx.data);
+  const match = matches.find((m) => m.label === contract) || matches[0];
+  const review = { contract, from: tx.from, fromLabel: labelFor(tx.from), value: BigInt(tx.value || 0), fn: null, args: [] };
+  if (!match) return review;
+
+  let values;
+  try {
+    values = decodeCalldata(match.fn, tx.data);
+  } catch {
+    return review; // selector matched but the arguments do not decode against that ABI
+  }
+  review.fn = match.fn;
+  review.args = await Promise.all(
+    match.fn.inputs.map(async (param, i) => {
+      const value = values[i];
+      const row = { name: param.name || `[${i}]`, type: param.type, text: valueToText(value), note: "" };
+      if (param.type === "address") {
+        row.note = labelFor(value) || "not in address book";
+      } else if (isAmountParam(match.fn.name, param)) {
+        const token = amountToken(match.fn, values, i, tx.to);
+        const { decimals, symbol } = await fetchTokenInfo(token);
+        if (decimals !== null) {
+          row.text = `${fmtUnits(value, decimals)} ${symbol || labelFor(token) || ""}`.trim();
+          row.note = `${value.toString()} base units, ${decimals} decimals`;
+        }
+      } else if (isDeadlineParam(param)) {
+        row.text = fmtDeadline(value);
+        row.note = `${relative(value)} (unix ${value.toString()})`;
+      }
+      return row;
+    })
+  );
+  review.signature = signature(match.fn);
+  return review;
+}
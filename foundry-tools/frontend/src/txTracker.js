@@ -0,0 +1,88 @@
+import { useEffect, useRef } from "react";
+import { request } from "./rpc";
+
+// Follows sent transactions through their lifecycle by polling eth_getTransactionReceipt:
+//   pending -> mined (k of N blocks) -> confirmed, or pending -> reverted, or pending -> replaced (another
+//   transaction with the same nonce was mined: a speed-up / cancel, or the original it was meant to replace).
+// Tracked transactions are activity log entries carrying a `hash`; their lifecycle fields are merged
+// into the entry, so progress survives reloads (the log is part of the workspace) and polling resumes.
+
+const POLL_MS = 2000;
+
+export const isOpenTx = (entry) => !!entry.hash && (entry.status === "pending" || entry.status === "mined");
+
+// Fields merged into a log entry once its receipt exists
+export function receiptFields(receipt, head, confirmations) {
+  const blockNumber = parseInt(receipt.blockNumber);
+  const depth = Math.max(0, head - blockNumber + 1);
+  const reverted = receipt.status === "0x0";
+  return {
+    status: reverted ? "reverted" : depth >= confirmations ? "confirmed" : "mined",
+    blockNumber,
+    depth,
+    gasUsed: BigInt(receipt.gasUsed).toString(),
+    effectiveGasPrice: receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice).toString() : undefined,
+    logs: receipt.logs.map(({ address, topics, data, logIndex }) => ({ address, topics, data, logIndex: parseInt(logIndex) })),
+  };
+}
+
+// What a speed-up / cancel needs to resubmit: sender, nonce and the fees the transaction went out with
+export function txFields(tx) {
+  const fields = { from: tx.from, to: tx.to, nonce: parseInt(tx.nonce), gas: BigInt(tx.gas).toString(), value: BigInt(tx.value || 0).toString(), data: tx.input || tx.data || "0x" };
+  if (tx.maxFeePerGas) {
+    fields.maxFeePerGas = BigInt(tx.maxFeePerGas).toString();
+    fields.maxPriorityFeePerGas = BigInt(tx.maxPriorityFeePerGas).toString();
+  } else if (tx.gasPrice) {
+    fields.gasPrice = BigInt(tx.gasPrice).toString();
+  }
+  return fields;
+}
+
+// setLog: the activity log's state setter; network: the active profile (only its chain's transactions are polled)
+export function useTxTracker(log, setLog, network) {
+  const { chainId, confirmations } = network;
+  const open = log.filter((l) => isOpenTx(l) && l.chainId === chainId).map((l) => l.hash);
+  const key = [...new Set(open)].join(",");
+  const latest = useRef(log);
+  latest.current = log;
+
+  useEffect(() => {
+    if (!key) return;
+    let stopped = false;
+    async function tick() {
+      try {
+        const head = parseInt(await request("eth_blockNumber"));
+        const updates = {};
+        for (const hash of key.split(",")) {
+          const receipt = await request("eth_getTransactionReceipt", [hash]);
+          if (receipt?.blockNumber) {
+            updates[hash] = receiptFields(receipt, head, confirmations);
+            continue;
+          }
+          // Still pending: learn its nonce/fees once, then watch for the nonce being used by another transaction
+          const known = latest.current.find((l) => l.hash === hash);
+          const tx = known?.nonce === undefined ? await request("eth_getTransactionByHash", [hash]) : null;
+          const fields = tx ? txFields(tx) : known;
+          if (fields?.nonce === undefined) continue;
+          if (tx) updates[hash] = fields;
+          const used = parseInt(await request("eth_getTransactionCount", [fields.from, "latest"]));
+          if (used <= fields.nonce) continue;
+          // mined between the two queries, or really superseded?
+          const late = await request("eth_getTransactionReceipt", [hash]);
+          updates[hash] = late?.blockNumber ? receiptFields(late, head, confirmations) : { ...updates[hash], status: "replaced" };
+        }
+        if (!stopped && Object.keys(updates).length) {
+          setLog((prev) => prev.map((l) => (isOpenTx(l) && l.chainId === chainId && updates[l.hash] ? { ...l, ...updates[l.hash] } : l)));
+        }
+      } catch {
+        // transient RPC failure or no transport yet; retried on the next tick
+      }
+    }
+    tick();
+    const timer = setInterval(tick, POLL_MS);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  }, [key, setLog, chainId, confirmations]);
+}
@@ -0,0 +1,57 @@
+// Fixed-point helpers for token amounts (BigInt based, no floating point).
+
+export function fmtUnits(value, decimals = 18) {
+  try {
+    const bn = BigInt(value.toString());
+    const sign = bn < 0n ? "-" : "";
+    const v = bn < 0n ? -bn : bn;
+    const int = v / BigInt(10) ** BigInt(decimals);
+    const frac = v % (BigInt(10) ** BigInt(decimals));
+    const fracStr = frac.toString().padStart(decimals, "0").replace(/0+$/, "");
+    return sign + int.toString() + (fracStr ? "." + fracStr : "");
+  } catch {
+    return value?.toString?.() ?? String(value);
+  }
+}
+
+// Inverse of fmtUnits: "50.25" -> 50250000000000000000n for 18 decimals. Throws rather than round
+// when the entry has more significant fractional digits than the token supports. Amounts are
+// unsigned, so a leading "-" is rejected too (signed intN params are plain text for the encoder).
+export function parseUnits(value, decimals = 18) {
+  const s = String(value).trim().replace(/_/g, "");
+  const m = s.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!m || (!m[1] && !m[2])) throw new Error(`Invalid amount: ${value}`);
+  const frac = (m[2] || "").replace(/0+$/, "");
+  if (frac.length > decimals) {
+    throw new Error(`${value} has ${frac.length} decimal places; the token supports ${decimals} (precision loss)`);
+  }
+  return BigInt(m[1] || "0") * 10n ** BigInt(decimals) + BigInt(frac.padEnd(decimals, "0") || "0");
+}
+
+// Amount fields accept either token units or raw wei; returns the wei value as a decimal string
+export function amountToWei(text, unit, decimals = 18) {
+  if (unit === "wei") {
+    if (!/^\d+$/.test(String(text).trim())) throw new Error(`Invalid wei amount: ${text}`);
+    return BigInt(String(text).trim()).toString();
+  }
+  return parseUnits(text, decimals).toString();
+}
+
+// Params that hold token amounts: named like amount/value/secAmt/cashAmt, or the unnamed
+// return of the ERC-20 balance getters.
+const AMOUNT_NAME = /^(amount|amt|value|balance|supply|allowance)$|(Amt|Amount)$/i;
+const AMOUNT_FNS = ["totalSupply", "balanceOf", "allowance"];
+
+export function isAmountParam(fnName, param) {
+  if (!/^uint(256)?$/.test(param.type)) return false;
+  return param.name ? AMOUNT_NAME.test(param.name) : AMOUNT_FNS.includes(fnName);
+}
+
+// Unix-seconds params shown and entered as local dates (DVPEscrow's uint64 deadline and the like)
+export function isDeadlineParam(param) {
+  return /^uint\d*$/.test(param.type) && /deadline|expiry|expires/i.test(param.name || "");
+}
+
+export function fmtDeadline(seconds) {
+  return new Date(Number(seconds) * 1000).toLocaleString();
+}
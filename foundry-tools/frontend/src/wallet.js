@@ -0,0 +1,87 @@
+import { useEffect, useState } from "react";
+import { setProvider, walletRequest } from "./rpc";
+
+const STORAGE_KEY = "dvp-ui.wallet"; // rdns of the last chosen wallet (uuids change per page load)
+
+// Pseudo entry for wallets that only inject window.ethereum and do not implement EIP-6963
+const LEGACY_RDNS = "window.ethereum";
+
+// EIP-6963: wallets announce { info: { uuid, name, icon, rdns }, provider } in reply to eip6963:requestProvider
+function useAnnouncedProviders() {
+  const [providers, setProviders] = useState([]);
+  useEffect(() => {
+    const onAnnounce = (event) => {
+      const { info, provider } = event.detail || {};
+      if (!info?.uuid || !provider) return;
+      setProviders((prev) => (prev.some((p) => p.info.uuid === info.uuid) ? prev : [...prev, { info, provider }]));
+    };
+    window.addEventListener("eip6963:announceProvider", onAnnounce);
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+    return () => window.removeEventListener("eip6963:announceProvider", onAnnounce);
+  }, []);
+  return providers;
+}
+
+// extraWallets: entries in the same { info, provider } shape that do not come from EIP-6963 (the dev signer)
+export function useWallet(extraWallets = []) {
+  const announced = useAnnouncedProviders();
+  const [selectedRdns, setSelectedRdns] = useState(() => localStorage.getItem(STORAGE_KEY));
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+
+  const injected = announced.length
+    ? announced
+    : window.ethereum
+      ? [{ info: { uuid: LEGACY_RDNS, rdns: LEGACY_RDNS, name: "Injected wallet", icon: "" }, provider: window.ethereum }]
+      : [];
+  const wallets = [...injected, ...extraWallets];
+  // With several wallets installed nothing is used until the user picks one (or a previous pick is remembered)
+  const wallet = wallets.find((w) => w.info.rdns === selectedRdns) || (wallets.length === 1 ? wallets[0] : null);
+  const provider = wallet?.provider || null;
+
+  useEffect(() => {
+    setProvider(provider);
+    setAccount(null);
+    setChainId(null);
+    if (!provider) return;
+
+    let stale = false;
+    (async () => {
+      try {
+        const [acc] = (await walletRequest("eth_accounts")) || [];
+        const cid = await walletRequest("eth_chainId");
+        if (stale) return;
+        if (acc) setAccount(acc);
+        if (cid) setChainId(cid);
+      } catch {
+        // wallet locked or not yet authorised; connect() will prompt
+      }
+    })();
+
+    const onAccountsChanged = (accs) => setAccount(accs?.[0] || null);
+    const onChainChanged = (cid) => setChainId(cid);
+
+    provider.on?.("accountsChanged", onAccountsChanged);
+    provider.on?.("chainChanged", onChainChanged);
+    return () => {
+      stale = true;
+      provider.removeListener?.("accountsChanged", onAccountsChanged);
+      provider.removeListener?.("chainChanged", onChainChanged);
+    };
+  }, [provider]);
+
+  const selectWallet = (rdns) => {
+    localStorage.setItem(STORAGE_KEY, rdns);
+    setSelectedRdns(rdns);
+  };
+
+  const connect = async () => {
+    if (!wallet && wallets.length > 1) throw new Error("Several wallets detected; choose one in the header first");
+    const [acc] = await walletRequest("eth_requestAccounts");
+    setAccount(acc);
+    const cid = await walletRequest("eth_chainId");
+    setChainId(cid);
+  };
+
+  return { account, chainId, connect, wallets, wallet, selectWallet };
+}
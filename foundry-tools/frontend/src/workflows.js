@@ -0,0 +1,158 @@
+import { useEffect, useRef } from "react";
+import { encodeCall, isAddress, sameAddress } from "./abi";
+import { builtinFn, readAllowance, readBalance, readOrder } from "./dvp";
+import { request } from "./rpc";
+import { fetchTokenInfo } from "./tokens";
+import { fmtUnits } from "./units";
+
+// Guided approve -> deposit runs for one leg of a DVP order. Each step is checked against the chain
+// before anything is sent (approve is skipped when the allowance already covers the leg, both steps
+// when the leg is already locked), and a sent step only counts once its receipt is in. Flows live
+// in the workspace, so a half-done flow resumes after a reload.
+//
+// Flow status: ready (next step waits for the user) | running | waiting (tx sent) | done | failed.
+// Step status: todo | sent | done | skipped | failed.
+
+export const FLOWS = {
+  "deposit-security": { title: "Seller: approve SECT, then depositSecurity", role: "seller", token: "sec", amount: "secAmt", locked: "secLocked", deposit: "depositSecurity" },
+  "deposit-cash": { title: "Buyer: approve cash, then depositCash", role: "buyer", token: "cash", amount: "cashAmt", locked: "cashLocked", deposit: "depositCash" },
+};
+
+const STEPS = ["approve", "deposit"];
+const POLL_MS = 2000;
+
+export function newFlow(kind, orderId, chainId) {
+  return { id: `${Date.now().toString(36)}-${kind}`, kind, orderId, chainId, status: "ready", steps: STEPS.map((key) => ({ key, status: "todo" })) };
+}
+
+// A flow saved mid-step was interrupted by a reload; it waits for the user again
+export function restoreFlows(flows) {
+  return Array.isArray(flows) ? flows.map((f) => (f.status === "running" ? { ...f, status: "ready" } : f)) : [];
+}
+
+const nextStep = (flow) => flow.steps.findIndex((s) => s.status !== "done" && s.status !== "skipped");
+
+// Where a sent transaction ended up, following speed-ups and cancels logged by the activity panel
+export function followTx(log, hash) {
+  const entry = log.find((l) => l.hash === hash);
+  if (!entry) return { status: "unknown", hash };
+  if (entry.status !== "replaced") return { status: entry.status, hash };
+  const outcome = log
+    .filter((l) => l.replaces === hash)
+    .map((l) => ({ ...followTx(log, l.hash), cancel: l.replacement === "cancel" }))
+    .find((r) => ["mined", "confirmed", "reverted"].includes(r.status));
+  if (!outcome) return { status: "replaced", hash };
+  const { cancel, ...result } = outcome;
+  return cancel && result.status !== "reverted" ? { status: "cancelled", hash: result.hash } : result;
+}
+
+// Checks the chain and sends the step's transaction if still needed; returns the step's new fields
+async function runStep(flow, step, { dvp, account, sendTx }) {
+  const def = FLOWS[flow.kind];
+  const order = await readOrder(dvp, flow.orderId);
+  if (!order) throw new Error("No such order on DVPEscrow (never initiated, or cancelled)");
+  if (order[def.locked]) return { status: "skipped", note: "leg already locked in escrow" };
+  const party = order[def.role];
+  if (!sameAddress(party, account)) throw new Error(`Only the ${def.role} ${party} can fund this leg; connected as ${account}`);
+
+  if (step.key === "deposit") {
+    const hash = await sendTx({ to: dvp, data: encodeCall(builtinFn("DVPEscrow", def.deposit), [flow.orderId]), label: `${def.deposit}(${flow.orderId.slice(0, 10)}…)` });
+    return { status: "sent", hash };
+  }
+  const token = order[def.token];
+  const amount = order[def.amount];
+  const [allowance, balance, info] = await Promise.all([readAllowance(token, account, dvp), readBalance(token, account), fetchTokenInfo(token)]);
+  const fmt = (v) => `${fmtUnits(v, info.decimals ?? 18)}${info.symbol ? ` ${info.symbol}` : ""}`;
+  if (balance < amount) throw new Error(`Balance ${fmt(balance)} is below the ${fmt(amount)} this leg locks`);
+  if (allowance >= amount) return { status: "skipped", note: `allowance ${fmt(allowance)} already covers ${fmt(amount)}` };
+  const hash = await sendTx({ to: token, data: encodeCall(builtinFn("MintableERC20", "approve"), [dvp, amount]), label: `approve(DVPEscrow, ${fmt(amount)})` });
+  return { status: "sent", hash, note: `approving ${fmt(amount)} (allowance was ${fmt(allowance)})` };
+}
+
+// setFlows: the workspace's flow list setter. ctx: { dvp, account, chainId, sendTx, sendIdle, errMsg }, read at call time.
+export function useWorkflows(flows, setFlows, log, ctx) {
+  const context = useRef(ctx);
+  context.current = ctx;
+  const auto = useRef(new Set()); // flows the user drove in this session; they advance without another click
+  const { chainId } = ctx;
+
+  const put = (flow) => setFlows((prev) => prev.map((f) => (f.id === flow.id ? flow : f)));
+  const withStep = (flow, i, fields) => ({ ...flow, steps: flow.steps.map((s, j) => (j === i ? { ...s, ...fields } : s)) });
+
+  async function advance(flow) {
+    const i = nextStep(flow);
+    if (i < 0) return put({ ...flow, status: "done" });
+    const { dvp, account, errMsg } = context.current;
+    let current = withStep({ ...flow, status: "running" }, i, { status: "todo", error: undefined });
+    put(current);
+    try {
+      if (!isAddress(dvp)) throw new Error("Set the DVPEscrow address in the network profile");
+      if (!account) throw new Error("Connect the wallet that funds this leg");
+      const fields = await runStep(current, current.steps[i], context.current);
+      current = withStep(current, i, fields);
+      if (fields.status === "skipped") return advance(current);
+      put({ ...current, status: "waiting" });
+    } catch (e) {
+      put({ ...withStep(current, i, { status: "failed", error: errMsg(e) }), status: "failed" });
+    }
+  }
+
+  // A waiting step settles when its receipt lands: done moves on automatically if driven this session
+  // and nothing else is being sent, so the next wallet prompt never lands on top of another dialog
+  function settle(flow, outcome) {
+    const i = nextStep(flow);
+    if (outcome.status === "mined" || outcome.status === "confirmed") {
+      const next = withStep(flow, i, { status: "done", hash: outcome.hash });
+      if (nextStep(next) < 0) return put({ ...next, status: "done" });
+      if (auto.current.has(flow.id) && context.current.sendIdle()) return advance(next);
+      return put({ ...next, status: "ready" });
+    }
+    const why = { reverted: "transaction reverted", cancelled: "transaction was cancelled", replaced: "nonce was used by another transaction" }[outcome.status];
+    put({ ...withStep(flow, i, { status: "failed", hash: outcome.hash, error: `${why}; retry re-checks the chain first` }), status: "failed" });
+  }
+
+  const waiting = flows.filter((f) => f.status === "waiting" && f.chainId === chainId);
+
+  useEffect(() => {
+    for (const flow of waiting) {
+      const outcome = followTx(log, flow.steps[nextStep(flow)].hash);
+      if (!["unknown", "pending"].includes(outcome.status)) settle(flow, outcome);
+    }
+  });
+
+  // Steps whose transaction is no longer in the activity log (cleared) are polled directly
+  const untracked = useRef();
+  untracked.current = { flows: waiting.filter((f) => followTx(log, f.steps[nextStep(f)].hash).status === "unknown"), settle };
+  const untrackedKey = untracked.current.flows.map((f) => f.id).join(",");
+  useEffect(() => {
+    if (!untrackedKey) return;
+    const timer = setInterval(async () => {
+      const { flows, settle } = untracked.current;
+      for (const flow of flows) {
+        const hash = flow.steps[nextStep(flow)].hash;
+        const receipt = await request("eth_getTransactionReceipt", [hash]).catch(() => null);
+        if (receipt?.blockNumber) settle(flow, { status: receipt.status === "0x0" ? "reverted" : "mined", hash });
+      }
+    }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [untrackedKey]);
+
+  return {
+    start(kind, orderId) {
+      const flow = newFlow(kind, orderId, chainId);
+      setFlows((prev) => [flow, ...prev]);
+      auto.current.add(flow.id);
+      advance(flow);
+    },
+    resume(id) {
+      const flow = flows.find((f) => f.id === id);
+      if (!flow) return;
+      auto.current.add(id);
+      advance(flow);
+    },
+    dismiss(id) {
+      auto.current.delete(id);
+      setFlows((prev) => prev.filter((f) => f.id !== id));
+    },
+  };
+}
@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useState } from "react";
+import { sameAddress } from "./abi";
+import { DEFAULT_CONFIRMATIONS, DEFAULT_NETWORKS, emptyAddresses } from "./networks";
+import { restoreFlows } from "./workflows";
+
+// Named workspaces ("anvil-demo", "op-sepolia-pilot", …): network profiles and addresses, ABIs,
+// party labels, guided workflow progress and the activity log, persisted to localStorage and shareable as one JSON file.
+
+const STORAGE_KEY = "dvp-ui.workspaces";
+const ACTIVE_KEY = "dvp-ui.workspace";
+const FILE_FORMAT = "dvp-ui-workspace";
+const FILE_VERSION = 1;
+export const DEFAULT_WORKSPACE = "default";
+
+export function emptyWorkspace() {
+  return {
+    networks: DEFAULT_NETWORKS.map((n) => ({ ...n, addresses: emptyAddresses() })),
+    networkId: DEFAULT_NETWORKS[0].id,
+    abiText: "",
+    abiArtifact: "", // Foundry contract name the ABI follows, "" when pasted
+    complianceAbiText: "",
+    complianceArtifact: "",
+    parties: [], // [{ label, address }]
+    flows: [], // guided workflows, see workflows.js
+    log: [],
+  };
+}
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Fills fields a stored or imported workspace may lack (older files, hand-edited JSON)
+function normalize(data) {
+  const base = emptyWorkspace();
+  const fill = (n) => ({
+    rpcUrl: DEFAULT_NETWORKS.find((d) => d.id === n.id)?.rpcUrl || "", // exports carry none
+    confirmations: DEFAULT_NETWORKS.find((d) => d.id === n.id)?.confirmations || DEFAULT_CONFIRMATIONS,
+    startBlock: DEFAULT_NETWORKS.find((d) => d.id === n.id)?.startBlock ?? null,
+    ...n,
+    addresses: { ...emptyAddresses(), ...n.addresses },
+  });
+  const networks = Array.isArray(data?.networks) && data.networks.length ? data.networks.map(fill) : base.networks;
+  return {
+    ...base,
+    ...data,
+    networks,
+    networkId: networks.some((n) => n.id === data?.networkId) ? data.networkId : networks[0].id,
+    parties: Array.isArray(data?.parties) ? data.parties : [],
+    flows: restoreFlows(data?.flows),
+    log: Array.isArray(data?.log) ? data.log : [],
+  };
+}
+
+export function useWorkspaces() {
+  const [store, setStore] = useState(readStore);
+  const [active, setActive] = useState(() => localStorage.getItem(ACTIVE_KEY) || DEFAULT_WORKSPACE);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    localStorage.setItem(ACTIVE_KEY, active);
+  }, [store, active]);
+
+  const names = Object.keys(store).includes(active) ? Object.keys(store) : [active, ...Object.keys(store)];
+  const load = (name) => normalize(store[name]);
+  const save = useCallback((name, data) => setStore((prev) => ({ ...prev, [name]: data })), []);
+
+  const remove = (name) => {
+    const { [name]: _removed, ...rest } = store;
+    setStore(rest);
+    return Object.keys(rest)[0] || DEFAULT_WORKSPACE;
+  };
+
+  return { names, active, setActive, load, save, remove };
+}
+
+export function workspaceFileName(name) {
+  return `${name.replace(/[^a-zA-Z0-9._-]+/g, "-")}.dvp-workspace.json`;
+}
+
+// The activity log and workflow progress stay local: exports carry the setup, not someone's session history.
+// RPC URLs stay local too, since provider URLs usually embed an API key; importers get the profile defaults.
+export function exportWorkspace(name, data) {
+  const { log: _log, flows: _flows, ...setup } = data;
+  const networks = setup.networks.map((n) => {
+    const { rpcUrl: _rpcUrl, ...profile } = n;
+    return profile;
+  });
+  return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, name, ...setup, networks }, null, 2);
+}
+
+export function importWorkspace(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("Workspace file is not valid JSON");
+  }
+  if (parsed?.format !== FILE_FORMAT) throw new Error("Not a workspace export (missing format marker)");
+  if (parsed.version > FILE_VERSION) throw new Error(`Workspace file version ${parsed.version} is newer than this UI supports`);
+  const { format: _format, version: _version, name, ...data } = parsed;
+  if (!name || typeof name !== "string") throw new Error("Workspace file has no name");
+  return { name, data: normalize(data) };
+}
+
+// Label for an address from the workspace's party list, if any
+export function partyLabel(parties, address) {
+  if (!address) return "";
+  return parties.find((p) => sameAddress(p.address, address))?.label || "";
+}
@@ -0,0 +1,95 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseBroadcast } from "./src/deployments.js";
+
+// Exposes the Foundry project's build output to the UI as `virtual:foundry`:
+//   artifacts: { [contractName]: { source, abi, deployedBytecode: { object, immutableReferences } } }
+//   broadcasts: { [chainId]: { chainId, timestamp, startBlock, addresses } } from broadcast/Deploy.s.sol/<chainId>/run-latest.json
+// Only contracts compiled from the project's src/ are included (no OZ libs, tests or scripts).
+// In dev out/ and broadcast/ are watched, so `forge build` / `forge script --broadcast` push fresh data to the page.
+
+const VIRTUAL_ID = "virtual:foundry";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+const UPDATE_EVENT = "foundry:update";
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null; // half-written while forge is still building, or not an artifact
+  }
+}
+
+function loadArtifacts(outDir, srcDir) {
+  const artifacts = {};
+  if (!fs.existsSync(outDir)) return artifacts;
+  for (const dir of fs.readdirSync(outDir)) {
+    if (!dir.endsWith(".sol")) continue;
+    for (const file of fs.readdirSync(path.join(outDir, dir))) {
+      if (!file.endsWith(".json")) continue;
+      const json = readJson(path.join(outDir, dir, file));
+      const [source, name] = Object.entries(json?.metadata?.settings?.compilationTarget || {})[0] || [];
+      if (!source?.startsWith(srcDir + "/") || !json.abi || artifacts[name]) continue;
+      artifacts[name] = {
+        source,
+        abi: json.abi,
+        deployedBytecode: {
+          object: json.deployedBytecode?.object || "0x",
+          immutableReferences: json.deployedBytecode?.immutableReferences || {},
+        },
+      };
+    }
+  }
+  return artifacts;
+}
+
+function loadBroadcasts(scriptDir) {
+  const broadcasts = {};
+  if (!fs.existsSync(scriptDir)) return broadcasts;
+  for (const chainId of fs.readdirSync(scriptDir)) {
+    const json = readJson(path.join(scriptDir, chainId, "run-latest.json"));
+    if (!json) continue;
+    try {
+      broadcasts[chainId] = { ...parseBroadcast(json), chainId: Number(chainId) };
+    } catch {
+      // not a broadcast run; skip
+    }
+  }
+  return broadcasts;
+}
+
+// root: Foundry project root (where foundry.toml lives); out/src default to foundry.toml's values;
+// script: the forge script whose broadcasts record the deployment
+export default function foundry({ root = fileURLToPath(new URL("../..", import.meta.url)), out = "out", src = "src", script = "Deploy.s.sol" } = {}) {
+  const outDir = path.resolve(root, out);
+  const broadcastDir = path.resolve(root, "broadcast");
+  const load = () => ({ artifacts: loadArtifacts(outDir, src), broadcasts: loadBroadcasts(path.join(broadcastDir, script)) });
+
+  return {
+    name: "foundry",
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+    load(id) {
+      if (id === RESOLVED_ID) return `export default ${JSON.stringify(load())};`;
+    },
+    configureServer(server) {
+      server.watcher.add([outDir, broadcastDir]);
+      let timer;
+      const onChange = (file) => {
+        if (!file.startsWith(outDir) && !file.startsWith(broadcastDir)) return;
+        // forge rewrites many files per build; push once it settles
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+          if (mod) server.moduleGraph.invalidateModule(mod);
+          server.ws.send({ type: "custom", event: UPDATE_EVENT, data: load() });
+        }, 300);
+      };
+      server.watcher.on("add", onChange);
+      server.watcher.on("change", onChange);
+      server.watcher.on("unlink", onChange);
+    },
+  };
+}